@@ -38,7 +38,7 @@
   When this program tries and fails to POST arguments to the server,
   it tries to start the server, delays a bit and retries the POST.
   The server continues to run as long as any of the forms it serves are open,
-  plus a time period (look for idleTime). To implement this, the browser pings
+  plus a time period (look for SERVER_IDLE_LIMIT). To implement this, the browser pings
   the server periodically, and the server notices when the pings stop.
 
   It's kind of weird to implement all of this behavior in a single program.
@@ -54,6 +54,7 @@
   as though it were handling a message, but doesn't launch a browser.
   So the scan happens during installation, not when opening a message.
 */
+const agwpe = require('./agwpe');
 const AllHtmlEntities = require('html-entities').AllHtmlEntities;
 const bodyParser = require('body-parser');
 const child_process = require('child_process');
@@ -65,17 +66,23 @@ const fsp = require('./fsp.js');
 const http = require('http');
 const makeTemp = require('tmp');
 const morgan = require('morgan');
+const net = require('net');
 const path = require('path');
 const querystring = require('querystring');
 const stream = require('stream');
 const utf8 = require('utf8');
 const utilities = require('./utilities');
+const zlib = require('zlib');
 
 const errorToMessage = utilities.errorToMessage;
 const enquoteRegex = utilities.enquoteRegex;
 const expandVariables = utilities.expandVariables;
 const expandVariablesInFile = utilities.expandVariablesInFile;
 const log = utilities.log;
+const LOG_LEVELS = utilities.LOG_LEVELS;
+const formIdInLogMessage = utilities.formIdInLogMessage;
+const setJSONLog = utilities.setJSONLog;
+const setLogLevel = utilities.setLogLevel;
 const toLogMessage = utilities.toLogMessage;
 
 const encode = encodings.encode;
@@ -128,12 +135,18 @@ function promiseTimeout(msec) {
 }
 
 const HTTP_OK = 200;
+const CREATED = 201;
+const ACCEPTED = 202;
 const SEE_OTHER = 303;
+const BAD_REQUEST = 400;
 const FORBIDDEN = 403;
 const NOT_FOUND = 404;
 const INTERNAL_SERVER_ERROR = 500;
+const BAD_GATEWAY = 502;
 
 const CHARSET = 'utf-8'; // for HTTP
+const CONVERT_FOLDER_REPORT = 'convert-folder-report.txt';
+const DrainServer = '/drainSCCoPIFO';
 const TrimAddress = /^[^@]*(@[^.]*)?/;
 const ENCODING = CHARSET; // for files
 const EOL = '\r\n';
@@ -176,6 +189,7 @@ const LOCALHOST = '127.0.0.1';
 const LOG_FOLDER = 'logs';
 const NameValueArg = /^--([^-]*)-([\S\s]*)/; // The value may contain line breaks.
 const seconds = 1000;
+const minutes = 60 * seconds;
 const hours = 60 * 60 * seconds;
 const OpdFAIL = 'OpdFAIL';
 const OpenOutpostMessage = '/openOutpostMessage';
@@ -187,25 +201,70 @@ const WARNING_ICON = '<img src="/icon-warning.png" alt="warning"'
 const PROBLEM_HEADER = '<html><head><title>Problem</title></head><body>'
       + EOL + WARNING_ICON + EOL
       + '<h3 id="something-went-wrong">Something went wrong.</h3>';
+const QUEUE_FOLDER = 'queue'; // submissions that Opdirect hasn't accepted yet
+const QUIET_LIMIT = 300 * seconds; // close a form that's been quiet this long
+const RECENT_ERRORS_LIMIT = 20; // how many errors to show on the status page
 const SAVE_FOLDER = 'saved';
+const SERVER_IDLE_LIMIT = 48 * hours; // stop the server after no forms were open this long
+const SERVER_LOCK_FILE = path.join(LOG_FOLDER, 'server.lock');
+const SERVER_NAME = 'Outpost_Forms'; // identifies this program in a handshake
 const SEQUENCE_MARK = '^'; // must be OK in a file name, and come after '.' in lexical order
 const SEQUENCE_REGEX = /\^/g; // matches all occurrences of SEQUENCE_MARK
 const SETTINGS_FILE = path.join('bin', 'server.ini');
 const StopServer = '/stopSCCoPIFO';
+const TEXT_CSV = 'text/csv; charset=' + CHARSET;
 const TEXT_HTML = 'text/html; charset=' + CHARSET;
 const TEXT_PLAIN = 'text/plain; charset=' + CHARSET;
+const TEXT_XML = 'text/xml; charset=' + CHARSET;
 const WEB_TO_PDF = path.join('bin', 'WebToPDF.exe');
 
 var myServerPort = null;
 var logFileName = null;
 var settingsUpdatedTime = null;
+var serverStartTime = null;
+var serverVersion = ''; // from version.txt when this server started
+var draining = false; // This server is saving its forms and stopping.
+var serverIdleTime = 0; // how long there have been no open forms
+var recentErrors = []; // the latest errors shown to the operator, newest last
+var lastOpdirectExchange = null; // a summary of the latest submission to Opdirect
 const DEFAULT_SETTINGS = {
+    Transport: { // how to submit a message
+        type: 'opdirect', // or 'outbox'
+        folder: 'outbox' // where the outbox transport writes message files
+    },
     Opdirect: {
         host: LOCALHOST,
         port: 9334,
         timeout: 30 * seconds,
         method: 'POST',
         path: '/TBD'
+    },
+    AGWPE: { // a TNC that sends manual messages directly to a BBS
+        type: '', // agwpe or kiss ('' means there's no TNC)
+        host: LOCALHOST,
+        port: 8000,
+        channel: 0, // the AGWPE radio port or KISS channel
+        bbs: '', // the BBS call sign, for example W6XSC-1
+        call: '', // your call sign ('' means the operator's call in the manual settings)
+        timeout: 5 * minutes
+    },
+    Receipts: { // how many minutes to wait for a receipt, by handling order
+        immediate: 10,
+        priority: 60,
+        routine: 120
+    },
+    Server: {
+        port: 0 // 0 means any available port
+    },
+    Log: {
+        level: 'debug', // the lowest level that's logged
+        json: false, // also log JSON lines into .jsonl files
+        serverDays: 7, // how many days to keep server logs
+        convertDays: 7, // how many days to keep convert and convert-folder logs
+        openDays: 7, // how many days to keep other logs (mostly from open)
+        maxSize: 0, // megabytes per file (0 means no limit)
+        gzip: false, // compress expired log files instead of deleting them
+        gzipDays: 90 // how many days to keep compressed log files
     }
 };
 var settings = DEFAULT_SETTINGS;
@@ -217,7 +276,7 @@ if (process.argv.length > 2) {
         console.log(argvSlice(3).map(decodeArg).map(JSON.stringify).join(" "));
         return;
     }
-    ((['convert', 'serve', 'subject', 'uninstall'].indexOf(verb) >= 0)
+    ((['convert', 'convert-folder', 'fake-agwpe', 'fake-opdirect', 'serve', 'subject', 'uninstall'].indexOf(verb) >= 0)
      ? Promise.resolve()
      : fsp.checkFolder(LOG_FOLDER).then(function() {logToFile(verb);})
     ).then(function() {
@@ -230,6 +289,9 @@ if (process.argv.length > 2) {
             return uninstall();
         case 'convert':
             return convert();
+        case 'convert-folder':
+            // Convert a folder of message files to PDF files.
+            return convertFolder();
         case 'open':
         case 'dry-run':
             // Make sure a server is running, and then send process.argv[4..] to it.
@@ -241,6 +303,12 @@ if (process.argv.length > 2) {
         case 'stop':
             // Stop any running servers.
             return stopServers();
+        case 'fake-opdirect':
+            // Pretend to be Opdirect, for testing without Outpost.
+            return fakeOpdirect();
+        case 'fake-agwpe':
+            // Pretend to be a TNC connected to a BBS, for testing without a radio.
+            return fakeAGWPE();
         case 'subject':
             // Output the subject of the message in a given file.
             outputSubjects(process.argv);
@@ -249,7 +317,7 @@ if (process.argv.length > 2) {
             throw 'unknown verb "' + verb + '"';
         }
     }).catch(function(err) {
-        log(err);
+        log.error(err);
         process.exitCode = 1;
     });
 }
@@ -306,7 +374,7 @@ function uninstallCoverSheet() {
                         launchLocal, newData.join(EOL), {encoding: ENCODING}
                     );
                 }
-            }).catch(log);
+            }).catch(log.error);
         })).then(function() {
             if (formFolders.length > 0) {
                 // Remove duplicates:
@@ -319,12 +387,12 @@ function uninstallCoverSheet() {
                         path.join(folder, 'uninstall.exe'),
                         ['/S'], // silently
                         {stdio: ['ignore', 'pipe', 'pipe']}
-                    ).catch(log);
+                    ).catch(log.error);
                 }));
             }
-        }).catch(log);
+        }).catch(log.error);
     } catch(err) {
-        log(err);
+        log.error(err);
     }
 }
 
@@ -342,7 +410,7 @@ function findCmdConvert() {
             // That went well.
             return cmdConvert;
         });
-    }).catch(log); // and return undefined
+    }).catch(log.error); // and return undefined
 }
 
 function installConfigFiles(myDirectory, addonNames, cmdConvert) {
@@ -424,7 +492,7 @@ function installIncludes(myDirectory, addonNames) {
                     log(`included into ${launchLocal}`);
                 });
             });
-        }).catch(log);
+        }).catch(log.error);
     };
     // Each of the arguments names a folder that contains Outpost configuration data.
     return Promise.all(argvSlice(4).map(includeInto));
@@ -462,7 +530,7 @@ function removeIncludes(addonNames, launchLocal) {
                 log('removed ' + JSON.stringify(addonNames) + ` from ${launchLocal}`);
             });
         }
-    }).catch(log);
+    }).catch(log.error);
 }
 
 /** @return a Promise of a list of names, such that for each name
@@ -515,7 +583,7 @@ function decodeArg(value) {
     try {
         return wasDecoded ? utf8.decode(bytes) : value;
     } catch(err) { // for example the bytes aren't UTF-8
-        log(err);
+        log.warn(err);
         return value;
     }
 }
@@ -586,6 +654,155 @@ function convertMessageToFiles() {
     });
 }
 
+/** Convert each message file in a folder to PDF files in another folder.
+    The command line is:
+    convert-folder <program> <INSTDIR> <input folder> <output folder> [--copies-Name1,Name2] [--addon_name-Name]
+    Each PDF file is named for the message subject, followed by the copy name if there are
+    several copies. A summary of the results is written into CONVERT_FOLDER_REPORT in the output folder.
+*/
+function convertFolder() {
+    const inputFolder = process.argv[5] && path.resolve(process.argv[5]);
+    const outputFolder = process.argv[6] && path.resolve(process.argv[6]);
+    const options = parseArgs(argvSlice(7));
+    const copyNames = (options.copies != null) ? options.copies.split(',') : [''];
+    const results = [];
+    process.chdir(process.argv[4]);
+    return fsp.checkFolder(LOG_FOLDER).then(function() {
+        return teeToFile('convert-folder');
+    }).then(function() {
+        if (!inputFolder || !outputFolder) {
+            throw 'usage: convert-folder <program> <INSTDIR> <input folder> <output folder>'
+                + ' [--copies-Name1,Name2] [--addon_name-Name]';
+        }
+        return fsp.checkFolder(outputFolder);
+    }).then(function() {
+        return fsp.readdir(inputFolder);
+    }).then(function(fileNames) {
+        const outputNames = [];
+        return fileNames.sort().reduce(function(chain, fileName) {
+            return chain.then(function() {
+                const inputFile = path.join(inputFolder, fileName);
+                return fsp.stat(inputFile).then(function(stats) {
+                    if (stats.isFile()) {
+                        return convertFileToPDFs(
+                            inputFile, outputFolder, outputNames, copyNames, options
+                        ).then(function(outputFiles) {
+                            results.push({input: fileName, outputs: outputFiles});
+                        }, function(err) {
+                            log.error(err);
+                            results.push({input: fileName, problem: errorToMessage(err)});
+                        });
+                    }
+                });
+            });
+        }, Promise.resolve());
+    }).then(function() {
+        const failures = results.filter(function(result) {return !!result.problem;});
+        var report = `${results.length} messages from ${inputFolder}${EOL}`
+            + `${results.length - failures.length} converted, ${failures.length} failed.${EOL}`;
+        if (failures.length) {
+            report += EOL + 'Failed:' + EOL + failures.map(function(result) {
+                return `${result.input}: ${result.problem.replace(/[\r\n]+/g, ' ')}${EOL}`;
+            }).join('');
+        }
+        if (failures.length < results.length) {
+            report += EOL + 'Converted:' + EOL + results.filter(function(result) {
+                return !result.problem;
+            }).map(function(result) {
+                return `${result.input}: ${result.outputs.join(', ')}${EOL}`;
+            }).join('');
+        }
+        log(report);
+        if (failures.length) {
+            process.exitCode = 1;
+        }
+        return fsp.writeFile(
+            path.join(outputFolder, CONVERT_FOLDER_REPORT), report, {encoding: ENCODING});
+    });
+}
+
+/** Convert one message file to PDF files.
+    @return a Promise of an array of the names of the PDF files.
+*/
+function convertFileToPDFs(inputFile, outputFolder, outputNames, copyNames, options) {
+    const msgFileName = 'convert-' + process.pid + '-' + path.basename(inputFile).replace(/[^\w.\-]/g, '_');
+    var parsed = null;
+    var subject = null;
+    return fsp.readFile(
+        inputFile, {encoding: 'binary'} // Read the bytes, unmodified.
+    ).then(function(bytes) {
+        const message = decode[ENCODING](repairMessage(toEOL(bytes)));
+        parsed = parseEmail({message: message});
+        if (!parsed.formType) {
+            throw `${path.basename(inputFile)} isn't a form.`;
+        }
+        subject = parsed.headers.subject || subjectFromMessage(parsed);
+        return fsp.checkFolder(PackItMsgs).then(function() {
+            // The server will read this file and then delete it:
+            return fsp.writeFile(path.join(PackItMsgs, msgFileName), bytes, {encoding: 'binary'});
+        });
+    }).then(function() {
+        return openMessage([
+            '--addon_name-' + (options.addon_name || parsed.addonName),
+            '--message_status-received',
+            '--mode-readonly',
+            '--MSG_FILENAME-' + msgFileName,
+            '--SPOOL_DIR-' + outputFolder, // so the message isn't logged in the ICS-309
+            '--subject-' + subject,
+        ]);
+    }).then(function(pageURL) {
+        return convertPageToFiles(
+            options.addon_name || parsed.addonName, pageURL, parsed.fields.MsgNo, copyNames);
+    }).then(function(tempFileNames) {
+        // convertPageToFiles logs failures, but doesn't report them.
+        return Promise.all(tempFileNames.map(function(tempFile) {
+            return fsp.stat(tempFile).then(function(stats) {
+                return stats.size > 0;
+            });
+        })).then(function(converted) {
+            if (tempFileNames.length < copyNames.length || converted.indexOf(false) >= 0) {
+                tempFileNames.forEach(function(tempFile) {
+                    fsp.unlink(tempFile).catch(log.error);
+                });
+                throw `${WEB_TO_PDF} failed to convert ${path.basename(inputFile)}.`;
+            }
+            const base = toFileName(subject).replace(SEQUENCE_REGEX, '~')
+                  || path.basename(inputFile, path.extname(inputFile));
+            return tempFileNames.reduce(function(chain, tempFile, index) {
+                return chain.then(function(outputFiles) {
+                    const copyName = (copyNames.length > 1) ? toFileName(copyNames[index] || `${index + 1}`) : '';
+                    var outputName = base + (copyName ? `_${copyName}` : '') + '.pdf';
+                    if (outputNames.indexOf(outputName.toLowerCase()) >= 0) {
+                        // Another message in this folder has the same subject.
+                        outputName = outputName.replace(/\.pdf$/,
+                            ` (${path.basename(inputFile, path.extname(inputFile))}).pdf`);
+                    }
+                    outputNames.push(outputName.toLowerCase());
+                    const outputFile = path.join(outputFolder, outputName);
+                    return fsp.unlink(outputFile).catch(function(err) {
+                        // There was no such file.
+                    }).then(function() {
+                        return moveFile(tempFile, outputFile);
+                    }).then(function() {
+                        return outputFiles.concat([outputName]);
+                    });
+                });
+            }, Promise.resolve([]));
+        });
+    }).then(function(outputFiles) {
+        deleteMsgFile();
+        return outputFiles;
+    }, function(err) {
+        deleteMsgFile();
+        throw err;
+    });
+    function deleteMsgFile() {
+        fsp.unlink(path.join(PackItMsgs, msgFileName)).catch(function(err) {
+            // The server deleted it already.
+        });
+    }
+}
+
 function convertPageToFiles(addon_name, pageURL, messageID, copyNames) {
     if (!pageURL) {
         throw 'page URL = ' + JSON.stringify(pageURL);
@@ -613,7 +830,7 @@ function convertPageToFiles(addon_name, pageURL, messageID, copyNames) {
     }).then(function() {
         return fileNames;
     }, function webToPdfFailed(err) {
-        log(err);
+        log.error(err);
         process.exitCode = 1;
         return fileNames;
     });
@@ -675,7 +892,7 @@ function moveFile(source, destination) {
                 throw err;
             }
             return fsp.copyFile(source, destination).then(function() {
-                fsp.unlink(source).catch(log);
+                fsp.unlink(source).catch(log.error);
             });
         });
     });
@@ -688,7 +905,7 @@ function browseMessage() {
             startProcess('start', [pageURL], {shell: true, detached: true, stdio: 'ignore'});
         }
     }, function openMessageFailed(err) {
-        log(err);
+        log.error(err);
         // Exit swiftly, so the user will see an error message swiftly.
         return promiseTimeout(2 * seconds) // Allow time to flush the log.
             .then(function() {process.exit(2);});
@@ -699,10 +916,10 @@ function openMessage(args) {
     const programPath = process.argv[3];
     var retries = 0;
     function tryNow() {
-        return openForm(
-            args
-        ).catch(function tryLater(err) {
-            log(err);
+        return replaceOldServer().then(function() {
+            return openForm(args);
+        }).catch(function tryLater(err) {
+            log.warn(err);
             if (retries >= 6) {
                 throw (retries + ' retries failed ' + JSON.stringify(args));
             } else {
@@ -719,16 +936,9 @@ function openMessage(args) {
 }
 
 function openForm(args) {
-    return fsp.stat(
-        PortFileName
-    ).catch(function(err) {
-        // There's definitely no server running.
-        throw PortFileName + " doesn't exist";
-    }).then(function(stats) {
-        return fsp.readFile(PortFileName, ENCODING);
-    }).then(function(port) {
+    return findServer().then(function(port) {
         var options = {host: LOCALHOST,
-                       port: parseInt(port, 10),
+                       port: port,
                        timeout: 3 * 60 * seconds,
                        method: 'POST',
                        path: OpenOutpostMessage,
@@ -755,6 +965,274 @@ function openForm(args) {
     });
 }
 
+/* A running server holds SERVER_LOCK_FILE, which contains JSON like
+   {"pid":1234,"port":5678,"version":"3.11","started":1600000000000}.
+   The server also writes its port into PortFileName, for other programs.
+   The process that wrote the lock might have stopped without deleting it,
+   and another process might be using its port. So a client verifies
+   the server by GET /handshake, which returns the same data plus SERVER_NAME.
+*/
+
+/** @return a Promise of the contents of SERVER_LOCK_FILE, or null if there's no valid lock. */
+function readServerLock() {
+    return fsp.readFile(
+        SERVER_LOCK_FILE, {encoding: ENCODING}
+    ).then(function(data) {
+        const lock = JSON.parse(data);
+        return (lock && lock.pid && lock.port) ? lock : null;
+    }).catch(function(err) {
+        return null;
+    });
+}
+
+/** @return the lock data that describe this server. */
+function myServerLock() {
+    return {
+        pid: process.pid,
+        port: myServerPort,
+        version: serverVersion,
+        started: serverStartTime,
+    };
+}
+
+/** Create SERVER_LOCK_FILE, and then advertise my port in PortFileName.
+    If another verified server holds the lock, fail.
+    A stale lock is replaced.
+*/
+function acquireServerLock() {
+    return readVersion().then(function(version) {
+        serverVersion = version;
+        return createServerLock(JSON.stringify(myServerLock()), 5);
+    }).then(function() {
+        log(`${SERVER_LOCK_FILE} ${JSON.stringify(myServerLock())}`);
+        return fsp.writeFile(PortFileName, myServerPort + '', {encoding: ENCODING});
+    });
+}
+
+/** Create SERVER_LOCK_FILE exclusively. If it exists but it's stale, delete it and try again,
+    since another server might be starting at the same time and replacing the same stale lock.
+*/
+function createServerLock(data, tries) {
+    return fsp.writeFile(
+        SERVER_LOCK_FILE, data, {encoding: ENCODING, flag: 'wx'}
+    ).catch(function(err) {
+        if (err.code != 'EEXIST' || tries <= 1) throw err;
+        return readServerLock().then(function(lock) {
+            if (!lock) {
+                return fsp.stat(SERVER_LOCK_FILE).then(function(stats) {
+                    if (new Date().getTime() - stats.mtime.getTime() < 5 * seconds) {
+                        // Another server might be writing it now.
+                        return promiseTimeout(seconds);
+                    }
+                    log(`delete invalid ${SERVER_LOCK_FILE}`);
+                    return fsp.unlink(SERVER_LOCK_FILE);
+                }).catch(log.error);
+            }
+            return handshake(lock).then(function(verified) {
+                if (verified) {
+                    throw `The server on port ${lock.port} (process ${lock.pid}) is already running.`;
+                }
+                log(`stale ${SERVER_LOCK_FILE} ${JSON.stringify(lock)}`);
+                return removeServerLock(lock);
+            });
+        }).then(function() {
+            return createServerLock(data, tries - 1);
+        });
+    });
+}
+
+/** Delete SERVER_LOCK_FILE and PortFileName, if this server holds the lock.
+    Don't propagate any exceptions.
+*/
+function releaseServerLock() {
+    return readServerLock().then(function(lock) {
+        if (lock && lock.pid == process.pid) {
+            return removeServerLock(lock);
+        }
+    }).catch(log.error);
+}
+
+/** Delete SERVER_LOCK_FILE and PortFileName, if they still refer to the given lock. */
+function removeServerLock(lock) {
+    return readServerLock().then(function(current) {
+        if (current && current.pid == lock.pid && current.started == lock.started) {
+            log(`delete ${SERVER_LOCK_FILE} ${JSON.stringify(lock)}`);
+            return Promise.all([
+                fsp.unlink(SERVER_LOCK_FILE),
+                fsp.readFile(PortFileName, {encoding: ENCODING}).then(function(port) {
+                    if (port.trim() == (lock.port + '')) {
+                        return fsp.unlink(PortFileName);
+                    }
+                }),
+            ]);
+        }
+    }).catch(log.error);
+}
+
+/** @return a Promise of true if the server described by lock answers a handshake. */
+function handshake(lock) {
+    return httpPromise(
+        httpExchange({
+            host: LOCALHOST,
+            port: lock.port,
+            timeout: 10 * seconds,
+            method: 'GET',
+            path: '/handshake'
+        }) // no request data
+    ).then(function(exchange) {
+        const found = (exchange.res.statusCode == HTTP_OK) ? JSON.parse(exchange.resBody) : {};
+        const verified = found.name == SERVER_NAME
+              && found.pid == lock.pid
+              && found.port == lock.port;
+        if (!verified) {
+            log(`port ${lock.port} handshake ${exchange.res.statusCode} ${exchange.resBody}`);
+        }
+        return verified;
+    }).catch(function(err) {
+        log.warn(err);
+        return false;
+    });
+}
+
+/** @return a Promise of the port of a verified server.
+    If the lock is stale, delete it and fail.
+*/
+function findServer() {
+    return readServerLock().then(function(lock) {
+        if (!lock) {
+            // There's definitely no server running.
+            throw SERVER_LOCK_FILE + " doesn't exist";
+        }
+        return handshake(lock).then(function(verified) {
+            if (verified) {
+                return lock.port;
+            }
+            return removeServerLock(lock).then(function() {
+                throw `${SERVER_LOCK_FILE} is stale ${JSON.stringify(lock)}`;
+            });
+        });
+    });
+}
+
+/** If the running server is a different version, drain it and wait until it stops.
+    A server that's too old to drain is stopped instead, which keeps its save files.
+    Don't propagate any exceptions.
+*/
+function replaceOldServer() {
+    return findServer().catch(function(err) {
+        // A server older than SERVER_LOCK_FILE advertises its port only in PortFileName.
+        return fsp.readFile(PortFileName, {encoding: ENCODING}).then(function(data) {
+            const port = parseInt(data, 10);
+            return port ? isListening(port).then(function(listening) {
+                return listening ? port : null;
+            }) : null;
+        }, function(err) {
+            return null; // There's no server to replace.
+        });
+    }).then(function(port) {
+        if (!port) return;
+        return Promise.all([
+            readVersion(),
+            httpPromise(
+                httpExchange({
+                    host: LOCALHOST,
+                    port: port,
+                    timeout: 10 * seconds,
+                    method: 'GET',
+                    path: '/version'
+                }) // no request data
+            ).then(function(exchange) {
+                return JSON.parse(exchange.resBody) || {};
+            }).catch(function(err) {
+                log.warn(err);
+                return {}; // not a server that identifies itself
+            })
+        ]).then(function(versions) {
+            if (versions[1].name != SERVER_NAME) {
+                // It might be another program, or a server too old to drain.
+                // Leave it alone, and start a new server.
+                log(`port ${port} isn't identified as ${SERVER_NAME}`);
+                return;
+            }
+            if (!versions[0] || versions[0] == versions[1].version) {
+                return; // Keep using this server.
+            }
+            const command = DrainServer;
+            log(`${command} on port ${port} version ${versions[1].version}, since this is version ${versions[0]}`);
+            return httpPromise(
+                httpExchange({
+                    host: LOCALHOST,
+                    port: port,
+                    timeout: 60 * seconds,
+                    method: 'POST',
+                    path: command
+                }) // no request data
+            ).then(function(exchange) {
+                if (exchange.res.statusCode != HTTP_OK) {
+                    // Keep using the old server, which still has the forms.
+                    throw `${command} ${exchange.res.statusCode} ${exchange.resBody}`;
+                }
+                var waited = 0;
+                const waitForStop = function waitForStop() {
+                    return isListening(port).then(function(listening) {
+                        if (listening && waited < 10 * seconds) {
+                            waited += seconds / 2;
+                            return promiseTimeout(seconds / 2).then(waitForStop);
+                        }
+                    });
+                };
+                return waitForStop();
+            });
+        });
+    }).catch(log.error);
+}
+
+/** Journal all the open forms into their save files, release SERVER_LOCK_FILE
+    and open no more forms. A newer server will offer to restore the drafts.
+    If any form can't be saved, keep serving and reject the returned Promise.
+*/
+function drainForms() {
+    draining = true;
+    const formIds = Object.keys(openForms);
+    const failures = [];
+    return Promise.all(formIds.map(function(formId) {
+        return saveForm(formId, openForms[formId]).catch(function(err) { // after any previous write
+            failures.push(formId);
+        });
+    })).then(function() {
+        if (failures.length) {
+            draining = false;
+            throw `Failed to save forms ${failures.join(', ')}, so this server will keep running.`;
+        }
+        log('drained forms ' + formIds.join(', '));
+    }).then(releaseServerLock);
+}
+
+/** Handle an HTTP GET /version request. */
+function onGetVersion(req, res) {
+    noCache(res);
+    res.set({'Content-Type': JSON_TYPE + '; charset=' + CHARSET});
+    res.end(JSON.stringify({name: SERVER_NAME, version: serverVersion}), CHARSET);
+}
+
+/** @return a Promise of the version of this add-on, from version.txt. */
+function readVersion() {
+    return fsp.readFile('version.txt', {encoding: ENCODING}).then(function(version) {
+        return version.trim();
+    }, function(err) {
+        return ''; // unknown
+    });
+}
+
+/** Handle an HTTP GET /handshake request. */
+function onGetHandshake(req, res) {
+    noCache(res);
+    res.set({'Content-Type': JSON_TYPE + '; charset=' + CHARSET});
+    const data = myServerLock();
+    data.name = SERVER_NAME;
+    res.end(JSON.stringify(data), CHARSET);
+}
+
 function httpExchange(options) {
     const exchange = {};
     function onError(event) {
@@ -803,33 +1281,44 @@ function startProcess(program, args, options) {
     try {
         const child = child_process.spawn(program, args, options);
         child.on('error', function(err) {
-            log(err);
+            log.error(err);
         });
         if (child.disconnect) {
             child.disconnect();
         }
         child.unref();
     } catch(err) {
-        log(err);
+        log.error(err);
     }
 }
 
 function stopServers() {
+    // Find the port numbers of all servers (including stopped servers):
+    var ports = [];
+    const addPort = function addPort(port) {
+        if (port && ports.indexOf(port + '') < 0) {
+            ports.push(port + '');
+        }
+    };
     return fsp.readdir(
         LOG_FOLDER, {encoding: ENCODING}
     ).then(function(fileNames) {
-        // Find the port numbers of all servers (including stopped servers):
-        var ports = [];
         fileNames.forEach(function(fileName) {
             var found = /^server-(\d*)\.log$/.exec(fileName);
             if (found && found[1]) {
-                ports.push(found[1]);
+                addPort(found[1]);
             }
-            found = /-server-(\d*)\.log$/.exec(fileName);
+            found = /-server-(\d*)(\.\d+)?\.log$/.exec(fileName);
             if (found && found[1]) {
-                ports.push(found[1]);
+                addPort(found[1]);
             }
         });
+        return readServerLock();
+    }).then(function(lock) {
+        if (lock) {
+            addPort(lock.port);
+        }
+        fsp.unlink(SERVER_LOCK_FILE).catch(function(err){});
         fsp.unlink(PortFileName).catch(function(err){});
         return Promise.all(ports.map(function(port) {
             log('stopping server on port ' + port);
@@ -841,9 +1330,9 @@ function stopServers() {
                     method: 'POST',
                     path: StopServer
                 }) // no request data
-            ).catch(log); // ignore response
+            ).catch(log.error); // ignore response
         }));
-    }).catch(log);
+    }).catch(log.error);
 }
 
 var openForms = {'0': {quietTime: 0}}; // all the forms that are currently open
@@ -853,16 +1342,17 @@ var nextFormId = 1; // Forms are assigned sequence numbers when they're opened.
 function serve() {
     var server = null;
     function exitSoon(err) {
-        log(err);
+        log.error(err);
         const exitCode = err ? 1 : 0;
         process.exitCode = exitCode;
         if (server) {
             try {
                 server.close();
             } catch(err) {
-                log(err);
+                log.error(err);
             }
         }
+        releaseServerLock();
         setTimeout(function() {process.exit(exitCode);}, 2 * seconds).unref();
     };
     const app = express();
@@ -892,7 +1382,7 @@ function serve() {
                 // which will simply pass the URL to Windows' "start" command
                 // (which will open a browser).
             }, function openFailed(err) {
-                log(err);
+                log.error(err);
                 req.socket.end(); // abort the HTTP connection
                 // The client will log "Error: socket hang up" into logs/*-open.log,
                 // and start another server. It would be better for the client to
@@ -911,6 +1401,33 @@ function serve() {
     app.post('/submit-:formId', function(req, res) {
         onSubmit(req.params.formId, req, res);
     });
+    app.post('/message-:formId', function(req, res) {
+        onPostMessage(req.params.formId, req, res);
+    });
+    app.get('/drafts', function(req, res) {
+        onGetDrafts(req, res);
+    });
+    app.post('/drafts-resume', function(req, res) {
+        onPostDraftsResume(req, res);
+    });
+    app.post('/drafts-delete', function(req, res) {
+        onPostDraftsDelete(req, res);
+    });
+    app.get('/drafts-export.:format', function(req, res) {
+        onGetDraftsExport(req.params.format, req, res);
+    });
+    app.get('/presets-:formId', function(req, res) {
+        onGetPresets(req.params.formId, req, res);
+    });
+    app.post('/presets-:formId', function(req, res) {
+        onPostPresets(req.params.formId, req, res);
+    });
+    app.get('/history', function(req, res) {
+        onGetHistories(req, res);
+    });
+    app.get('/history-:msgNo', function(req, res) {
+        onGetHistory(req.params.msgNo, req, res);
+    });
     app.get('/fromOutpost-:formId', function(req, res) {
         var form = openForms[req.params.formId];
         if (!form) {
@@ -921,6 +1438,48 @@ function serve() {
             res.end(form.fromOutpost.body);
         }
     });
+    app.get('/export-:formId.:format', function(req, res) {
+        onGetExport(req.params.formId, req.params.format, res);
+    });
+    app.get('/logs', function(req, res) {
+        onGetLogs(req, res);
+    });
+    app.get('/logs.txt', function(req, res) {
+        onGetLogsText(req, res);
+    });
+    app.get('/handshake', function(req, res) {
+        onGetHandshake(req, res);
+    });
+    app.get('/version', function(req, res) {
+        onGetVersion(req, res);
+    });
+    app.get('/status', function(req, res) {
+        onGetStatus(req, res);
+    });
+    app.get('/status.json', function(req, res) {
+        onGetStatusJSON(req, res);
+    });
+    app.post('/status-close-:formId', function(req, res) {
+        onPostStatusClose(req.params.formId, req, res);
+    });
+    app.get('/queue', function(req, res) {
+        onGetQueue(req, res);
+    });
+    app.post('/queue-retry-:itemId', function(req, res) {
+        onPostQueueRetry(req.params.itemId, req, res);
+    });
+    app.post('/queue-discard-:itemId', function(req, res) {
+        onPostQueueDiscard(req.params.itemId, req, res);
+    });
+    app.get('/recall', function(req, res) {
+        onGetRecall(req, res);
+    });
+    app.post('/recall', function(req, res) {
+        onPostRecall(req, res);
+    });
+    app.post('/api/messages', function(req, res) {
+        onPostApiMessage(req, res);
+    });
     app.get('/msgs/:msgno', function(req, res) {
         // The client may not get the message this way,
         // since the server doesn't know what the formId is.
@@ -932,6 +1491,17 @@ function serve() {
         log(StopServer);
         exitSoon();
     });
+    app.post(DrainServer, function(req, res) {
+        log(DrainServer);
+        drainForms().then(function() {
+            res.end(); // with no body
+            exitSoon();
+        }, function(err) {
+            log.error(err);
+            res.statusCode = INTERNAL_SERVER_ERROR;
+            res.end(errorToMessage(err), CHARSET);
+        });
+    });
     app.get('/manual', function(req, res) {
         onManual(res);
     });
@@ -959,6 +1529,9 @@ function serve() {
     app.post('/manual-command-:formId', function(req, res) {
         onPostManualCommand(req.params.formId, req, res);
     });
+    app.post('/manual-tnc-:formId', function(req, res) {
+        onPostManualTNC(req.params.formId, req, res);
+    });
     app.get('/manual-command-:formId/:pageName', function(req, res) {
         onGetManualCommand(req.params.formId, req, res);
     });
@@ -968,6 +1541,9 @@ function serve() {
     app.get('/text-:formId/:pageName', function(req, res) {
         onGetPlainText(req.params.formId, req, res);
     });
+    app.get('/manual-receipt-:formId', function(req, res) {
+        onGetManualReceipt(req.params.formId, req, res);
+    });
     app.post('/manual-view', function(req, res) {
         onManualView(req, res);
     });
@@ -977,6 +1553,9 @@ function serve() {
     app.post('/manual-edit-log', function(req, res) {
         onPostManualEditLog(req, res);
     });
+    app.get('/manual-receipts', function(req, res) {
+        onGetManualReceipts(req, res);
+    });
     app.get('/go-back', function(req, res) {
         onGoBack(req, res);
     });
@@ -984,7 +1563,10 @@ function serve() {
         onGetManualLog(req, res);
     });
     app.get('/ICS-309.csv', function(req, res) {
-        onGetManualCSV(res);
+        onGetManualCSV(req, res);
+    });
+    app.get('/ICS-309.pdf', function(req, res) {
+        onGetManualPDF(req, res);
     });
     app.get('/pdf/\*.pdf', express.static('.', {setHeaders: function(res, path, stat) {
         res.set('Content-Type', 'application/pdf');
@@ -1014,78 +1596,111 @@ function serve() {
         }
     }}));
 
-    server = app.listen(0);
-    myServerPort = server.address().port;
-    if (!fs.existsSync(LOG_FOLDER)) {
-        fs.mkdirSync(LOG_FOLDER);
-    }
-    logToFile('server-' + myServerPort);
-    log('Listening for HTTP requests on port ' + myServerPort + '...');
-    fsp.writeFile( // advertise my port
-        PortFileName, myServerPort + '', {encoding: ENCODING}
-    ).catch(log);
-    const deleteMySaveFiles = function deleteMySaveFiles() {
-        deleteOldFiles(SAVE_FOLDER, new RegExp('^form-' + myServerPort + '-\\d+.json$'), -seconds);
-    };
-    var idleTime = 0;
-    const checkInterval = 5 * seconds;
-    const checkSilent = setInterval(function() {
+    const startServing = function startServing() {
+        myServerPort = server.address().port;
+        serverStartTime = new Date().getTime();
+        if (!fs.existsSync(LOG_FOLDER)) {
+            fs.mkdirSync(LOG_FOLDER);
+        }
+        logToFile('server-' + myServerPort);
+        log('Listening for HTTP requests on port ' + myServerPort + '...');
+        // A server that stopped unexpectedly might have used the same port
+        // (for example [Server] port), so don't reuse the ids in its save files.
         try {
-            // Scan openForms and close any that have been quiet too long.
-            var anyForms = false;
-            var anyOpen = false;
-            for (formId in openForms) {
-                var form = openForms[formId];
-                if (form) {
-                    anyForms = true;
-                    form.quietTime += checkInterval;
-                    // The client is expected to GET /ping-formId every 30 seconds.
-                    if (form.quietTime >= (300 * seconds)) {
-                        closeForm(formId);
-                    } else {
-                        anyOpen = true;
-                    }
+            fs.readdirSync(SAVE_FOLDER).forEach(function(fileName) {
+                const found = DRAFT_FILE_NAME.exec(fileName);
+                if (found && found[1] == myServerPort) {
+                    nextFormId = Math.max(nextFormId, parseInt(found[2], 10) + 1);
                 }
+            });
+        } catch(err) {
+            // There's no SAVE_FOLDER.
+        }
+        const firstFormId = nextFormId;
+        var locked = false;
+        acquireServerLock().then(function() {
+            locked = true;
+            expireLogFiles();
+        }, exitSoon);
+        const deleteMySaveFiles = function deleteMySaveFiles() {
+            // Keep the save files from a previous server on the same port.
+            for (var id = firstFormId; id < nextFormId; ++id) {
+                unjournalForm('' + id);
             }
-            if (anyOpen) {
-                idleTime = 0;
-            } else {
-                if (anyForms) {
-                    log('forms are all closed');
-                }
-                idleTime += checkInterval;
-                if (idleTime >= (48 * hours)) {
-                    log('idleTime = ' + (idleTime / hours) + ' hours');
-                    clearInterval(checkSilent);
-                    deleteMySaveFiles();
-                    fs.readFile(PortFileName, {encoding: ENCODING}, function(err, data) {
-                        if (!err && data && (data.trim() == (myServerPort + ''))) {
-                            fs.unlink(PortFileName, log);
+        };
+        const checkInterval = 5 * seconds;
+        const checkSilent = setInterval(function() {
+            try {
+                // Scan openForms and close any that have been quiet too long.
+                var anyForms = false;
+                var anyOpen = false;
+                for (formId in openForms) {
+                    var form = openForms[formId];
+                    if (form) {
+                        anyForms = true;
+                        form.quietTime += checkInterval;
+                        // The client is expected to GET /ping-formId every 30 seconds.
+                        if (form.quietTime >= QUIET_LIMIT) {
+                            closeForm(formId);
+                        } else {
+                            anyOpen = true;
                         }
-                        exitSoon();
-                    });
+                    }
+                }
+                retryQueue(); // asynchronously
+                if (anyOpen || queuedSubmissions > 0) {
+                    // Don't exit while submissions are waiting for Opdirect.
+                    serverIdleTime = 0;
                 } else {
-                    fs.readFile(PortFileName, {encoding: ENCODING}, function(err, data) {
-                        if (err || (data && (data.trim() != (myServerPort + '')))) {
-                            log(PortFileName + ' ' + (err ? err : data));
-                            clearInterval(checkSilent);
-                            deleteMySaveFiles();
-                            exitSoon();
-                        }
-                    });
+                    if (anyForms) {
+                        log('forms are all closed');
+                    }
+                    serverIdleTime += checkInterval;
+                    if (serverIdleTime >= SERVER_IDLE_LIMIT) {
+                        log('idleTime = ' + (serverIdleTime / hours) + ' hours');
+                        clearInterval(checkSilent);
+                        deleteMySaveFiles();
+                        exitSoon();
+                    } else if (locked) {
+                        readServerLock().then(function(lock) {
+                            if (!lock || lock.pid != process.pid) {
+                                // Another server has taken over. It might offer
+                                // to restore my save files, so keep them.
+                                log(SERVER_LOCK_FILE + ' ' + JSON.stringify(lock));
+                                clearInterval(checkSilent);
+                                exitSoon();
+                            }
+                        });
+                    }
                 }
+            } catch(err) {
+                log.error(err);
             }
-        } catch(err) {
-            log(err);
-        }
-    }, checkInterval);
-    deleteOldFiles(SAVE_FOLDER, /^form-\d+-\d+\.json$/, 60 * seconds);
+        }, checkInterval);
+        // Keep save files from other servers, which might have stopped unexpectedly.
+        deleteOldFiles(SAVE_FOLDER, /^form-\d+-\d+\.json(\.tmp)?$/, 7 * 24 * hours)
+            .then(findRecoveredDrafts);
+    };
+    updateSettings().then(function() {
+        // Accept requests only from this computer. 0 means any available port.
+        server = app.listen(settings.Server.port || 0, LOCALHOST);
+        server.on('listening', startServing);
+        server.on('error', function serverError(err) {
+            if (!myServerPort) { // listening failed
+                logToFile('server-' + settings.Server.port);
+            }
+            exitSoon(err);
+        });
+    });
 }
 
 function onOpen(formId, args) {
     // This code should be kept dead simple, since
     // it can't show a problem to the operator.
     return Promise.resolve().then(function() {
+        if (draining) {
+            throw new Error('This server is stopping.');
+        }
         var addon_name = undefined;
         for (var a = 0; a < args.length; ++a) {
             var nameValue = args[a].match(NameValueArg);
@@ -1148,7 +1763,7 @@ function findForm(formId) {
             }
             return form;
         });
-    }).catch(log); // and return undefined
+    }).catch(log.error); // and return undefined
 }
 
 function closeForm(formId) {
@@ -1158,16 +1773,8 @@ function closeForm(formId) {
         if (!form.environment) {
             log('form ' + formId + ' = ' + JSON.stringify(form));
         } else if (form.environment.mode != 'readonly') {
-            if (!fs.existsSync(SAVE_FOLDER)) {
-                fs.mkdirSync(SAVE_FOLDER);
-            }
-            const formFileName = saveFileName(formId);
-            fs.writeFile(
-                formFileName, JSON.stringify(form), {encoding: ENCODING},
-                function(err) {
-                    log(err ? err : ('Wrote ' + formFileName));
-                });
-            deleteOldFiles(SAVE_FOLDER, /^form-\d+-\d+\.json$/, 7 * 24 * hours);
+            journalForm(formId, form);
+            deleteOldFiles(SAVE_FOLDER, /^form-\d+-\d+\.json(\.tmp)?$/, 7 * 24 * hours);
         }
         log('/form-' + formId + ' closed');
         if (form.environment && form.environment.MSG_FILENAME) {
@@ -1183,51 +1790,742 @@ function saveFileName(formId) {
     return path.join(SAVE_FOLDER, 'form-' + myServerPort + '-' + formId + '.json');
 }
 
-function parseArgs(args) {
-    var environment = {};
-    for (var i = 0; i < args.length; i++) {
-        var nameValue = args[i].match(NameValueArg);
-        if (nameValue) {
-            environment[nameValue[1]] = nameValue[2];
-        }
+/* The state of each form that the operator might change is journaled
+   into its save file, whenever it changes. So if this server stops
+   unexpectedly (for example the power fails), another server can
+   offer to restore the form.
+*/
+var journalWrites = {}; // formId: a Promise that the latest change was journaled
+
+/** Write the form's state into its save file, after any previous write.
+    Don't propagate any exceptions.
+*/
+function journalForm(formId, form) {
+    return saveForm(formId, form).catch(function(err) {
+        // afterJournal logged it.
+    });
+}
+
+/** Like journalForm, but the returned Promise is rejected if the write fails. */
+function saveForm(formId, form) {
+    if (!form || !form.environment || form.environment.mode == 'readonly') {
+        return Promise.resolve();
     }
-    ['COPY_NAMES', 'MSG_INDEX', 'MSG_STATE', 'SPOOL_DIR'].forEach(function(name) {
-        if (environment[name] == '{{' + name + '}}') {
-            // The caller didn't provide a value for this variable.
-            delete environment[name];
+    const data = JSON.stringify(form);
+    const fileName = saveFileName(formId);
+    var failed = null;
+    return afterJournal(formId, function() {
+        return fsp.checkFolder(SAVE_FOLDER).then(function() {
+            return fsp.writeFileAtomic(fileName, data, {encoding: ENCODING});
+        }).then(function() {
+            log('Wrote ' + fileName);
+        }, function(err) {
+            failed = err;
+            throw err;
+        });
+    }).then(function() {
+        if (failed) throw failed;
+    });
+}
+
+/** Delete the form's save file, after any previous write.
+    Don't propagate any exceptions.
+*/
+function unjournalForm(formId) {
+    const fileName = saveFileName(formId);
+    return afterJournal(formId, function() {
+        return fsp.unlink(fileName).then(function() {
+            log('Deleted ' + fileName);
+        }, function(err) {
+            // There was no save file.
+        });
+    });
+}
+
+function afterJournal(formId, change) {
+    const previous = journalWrites[formId] || Promise.resolve();
+    const next = previous.then(change).catch(log.error).then(function() {
+        if (journalWrites[formId] === next) {
+            delete journalWrites[formId];
         }
     });
-    if ((environment.MSG_STATE || '').toLowerCase() == 'undefined') {
-        delete environment.MSG_STATE;
-    }
-    if (environment.MSG_NUMBER == '-1') { // a sentinel value
-        delete environment.MSG_NUMBER;
-    }
-    if (environment.MSG_LOCAL_ID == '-1') { // a sentinel value
-        delete environment.MSG_LOCAL_ID;
-    }
-    if (/^\?*$/.test(environment.MSG_DATETIME_HEADER)) { // a sentinel value
-        delete environment.MSG_DATETIME_HEADER;
-    }
-    if (environment.message_status == 'draft' && !environment.MSG_INDEX) {
-        // This probably came from an old version of Outpost.
-        // Without a MSG_INDEX, the operator can't revise the message:
-        environment.mode = 'readonly';
-    }
-    return environment;
+    journalWrites[formId] = next;
+    return next;
 }
 
-/** Remove any line breaks that the BBS might have inserted into
-    lines that look like form data. Don't transDecode the message.
- */
-function repairMessage(msg) {
-    //log(`repairMessage(${JSON.stringify(msg)})`);
-    if (!msg) {
-        return msg;
-    }
-    // JNOS inserts a line break after every 127 bytes in a line.
-    // It might insert a break within a multi-byte UTF-8 character.
-    // Remove any line breaks that were inserted into the message:
+/** Handle an HTTP POST /message-id request, which contains the current message. */
+function onPostMessage(formId, req, res) {
+    return requireForm(formId).then(function(form) {
+        if (form.environment && req.body && req.body.formtext != null) {
+            form.message = toEOL(req.body.formtext);
+            if (req.body.subject) {
+                form.environment.subject = req.body.subject;
+            }
+            journalForm(formId, form);
+        }
+        res.end(); // with no body
+    }).catch(function(err) {
+        log.error(err);
+        res.statusCode = NOT_FOUND;
+        res.end(); // with no body
+    });
+}
+
+var recoveredDrafts = []; // names of save files from servers that stopped
+
+/** Find save files from servers that aren't running,
+    for example because the power failed.
+*/
+function findRecoveredDrafts() {
+    return fsp.readdir(SAVE_FOLDER).catch(function(err) {
+        return [];
+    }).then(function(fileNames) {
+        const ports = {};
+        fileNames.forEach(function(fileName) {
+            const found = DRAFT_FILE_NAME.exec(fileName);
+            if (found && (found[1] != myServerPort || !openForms[found[2]])) {
+                (ports[found[1]] = ports[found[1]] || []).push(fileName);
+            }
+        });
+        return Promise.all(Object.keys(ports).map(function(port) {
+            if (port == myServerPort) {
+                // These are from a previous server that used the same port.
+                return ports[port];
+            }
+            return isListening(parseInt(port)).then(function(listening) {
+                return listening ? [] : ports[port];
+            });
+        }));
+    }).then(function(found) {
+        recoveredDrafts = [].concat.apply([], found).sort();
+        if (recoveredDrafts.length) {
+            log('recovered drafts ' + JSON.stringify(recoveredDrafts));
+        }
+    }).catch(log.error);
+}
+
+/** @return a Promise that's true if a server is listening on the given port. */
+function isListening(port) {
+    return new Promise(function(resolve, reject) {
+        const socket = net.connect({host: LOCALHOST, port: port});
+        socket.setTimeout(2 * seconds);
+        socket.on('connect', function() {
+            socket.end();
+            resolve(true);
+        });
+        socket.on('timeout', function() {
+            socket.destroy();
+            resolve(false);
+        });
+        socket.on('error', function(err) {
+            resolve(false);
+        });
+    });
+}
+
+/** @return HTML that offers to restore recovered drafts, or '' if there are none. */
+function recoveredDraftsNotice() {
+    const count = recoveredDrafts.length;
+    if (!count) return '';
+    return '<div id="recovered-drafts" style="border:2px solid #ff8000;background-color:#fff0d0;'
+        + 'padding:4pt;margin-bottom:4pt;">'
+        + '<style type="text/css"> @media print {#recovered-drafts {display:none;}} </style>'
+        + (count == 1 ? 'A form that you didn\'t finish was' : `${count} forms that you didn't finish were`)
+        + ' recovered, after the program stopped unexpectedly or was updated.'
+        + ' <a href="/drafts" target="_blank">Restore or discard them</a>.'
+        + '</div>\n';
+}
+
+/** @return a Promise of an array of descriptions of all the save files, newest first. */
+function listDrafts() {
+    return fsp.readdir(SAVE_FOLDER).catch(function(err) {
+        return []; // no save files
+    }).then(function(fileNames) {
+        return Promise.all(fileNames.filter(function(fileName) {
+            return DRAFT_FILE_NAME.test(fileName);
+        }).map(function(fileName) {
+            const fullName = path.join(SAVE_FOLDER, fileName);
+            return Promise.all([
+                fsp.stat(fullName),
+                fsp.readFile(fullName, {encoding: ENCODING}).then(JSON.parse)
+            ]).then(function(found) {
+                const form = found[1] || {};
+                const environment = form.environment || {};
+                const id = DRAFT_FILE_NAME.exec(fileName);
+                var msgNo = '';
+                if (form.message) {
+                    try {
+                        msgNo = parseEmail({message: form.message}).fields.MsgNo || '';
+                    } catch(err) {
+                        log.warn(err);
+                    }
+                }
+                return {
+                    fileName: fileName,
+                    modified: found[0].mtime.getTime(),
+                    subject: environment.subject || '',
+                    formType: environment.ADDON_MSG_TYPE || '',
+                    addonName: environment.addon_name || '',
+                    msgNo: msgNo || getMessageNumberFromSubject(environment.subject || ''),
+                    hasMessage: !!form.message,
+                    openId: (id[1] == myServerPort && openForms[id[2]]) ? id[2] : null,
+                    recovered: recoveredDrafts.indexOf(fileName) >= 0,
+                };
+            }, function(err) {
+                log.warn(err);
+                return null;
+            });
+        }));
+    }).then(function(drafts) {
+        return drafts.filter(function(draft) {
+            return !!draft;
+        }).sort(function(a, b) {
+            return b.modified - a.modified;
+        });
+    });
+}
+const DRAFT_FILE_NAME = /^form-(\d+)-(\d+)\.json$/;
+
+/** Handle an HTTP GET /drafts request. */
+function onGetDrafts(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return listDrafts().then(function(drafts) {
+        var rows = '';
+        drafts.forEach(function(draft) {
+            const file = encodeHTML(draft.fileName);
+            const query = encodeHTML('?file=' + encodeURIComponent(draft.fileName));
+            rows += `<tr${draft.recovered ? ' class="recovered"' : ''}>` + EOL
+                + `  <td>${dateTimeFromTime(draft.modified)}</td>` + EOL
+                + `  <td>${encodeHTML(draft.msgNo)}</td>` + EOL
+                + `  <td>${encodeHTML(draft.subject)}</td>` + EOL
+                + `  <td>${encodeHTML(draft.formType)}</td>` + EOL
+                + `  <td>${encodeHTML(draft.addonName)}</td>` + EOL
+                + '  <td style="white-space:nowrap;">'
+                + (draft.openId
+                   ? `<a href="/form-${draft.openId}" target="_blank">open</a>`
+                   : (`<form method="POST" action="/drafts-resume" target="_blank">`
+                      + `<input type="hidden" name="file" value="${file}"/>`
+                      + '<input type="submit" value="Resume"/></form>'
+                      + `<form method="POST" action="/drafts-delete"`
+                      + ` onsubmit="return confirm('Delete this form?');">`
+                      + `<input type="hidden" name="file" value="${file}"/>`
+                      + '<input type="submit" value="Delete"/></form>'))
+                + (draft.hasMessage
+                   ? (' Export: ' + EXPORT_FORMATS.map(function(format) {
+                       return `<a href="/drafts-export.${format}${query}" target="_blank">`
+                           + format.toUpperCase() + '</a>';
+                   }).join(' '))
+                   : '')
+                + '</td>' + EOL
+                + '</tr>' + EOL;
+        });
+        return fsp.readFile(
+            path.join('bin', 'drafts.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                rows: rows || '<tr><td colspan="6">No forms are saved.</td></tr>',
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** @return a Promise of the name of a save file, from an HTTP request.
+    It's rejected if the form is open in this server or another running server.
+*/
+function draftFileName(fileName) {
+    fileName = fileName || '';
+    const id = DRAFT_FILE_NAME.exec(fileName);
+    if (!id) {
+        return Promise.reject(`${JSON.stringify(fileName)} isn't the name of a saved form.`);
+    } else if (id[1] == myServerPort) {
+        if (openForms[id[2]]) {
+            return Promise.reject(`The form ${fileName} is open, at /form-${id[2]}.`);
+        }
+        return Promise.resolve(fileName);
+    }
+    return isListening(parseInt(id[1], 10)).then(function(listening) {
+        if (listening) {
+            throw `The form ${fileName} might be open in the server on port ${id[1]}.`;
+        }
+        return fileName;
+    });
+}
+
+function forgetRecoveredDraft(fileName) {
+    recoveredDrafts = recoveredDrafts.filter(function(f) {return f != fileName;});
+}
+
+/** Handle an HTTP POST /drafts-resume request.
+    Open the saved form with a new form id, and redirect to it.
+*/
+function onPostDraftsResume(req, res) {
+    return draftFileName(req.body && req.body.file).then(function(fileName) {
+        const fullName = path.join(SAVE_FOLDER, fileName);
+        return fsp.readFile(fullName, {encoding: ENCODING}).then(JSON.parse).then(function(form) {
+            const formId = '' + nextFormId++;
+            form.quietTime = 0;
+            if (form.environment) {
+                form.environment.emailURL = '/email-' + formId;
+                form.environment.submitURL =
+                    (form.environment.message_status == 'manual'
+                     ? '/manual-submit-' : '/submit-')
+                    + formId;
+            }
+            openForms[formId] = form;
+            log(`/form-${formId} resumed from ${fullName}`);
+            return journalForm(formId, form).then(function() {
+                return fsp.unlink(fullName);
+            }).then(function() {
+                forgetRecoveredDraft(fileName);
+                res.redirect(SEE_OTHER, '/form-' + formId);
+            });
+        });
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP POST /drafts-delete request. */
+function onPostDraftsDelete(req, res) {
+    return draftFileName(req.body && req.body.file).then(function(fileName) {
+        return fsp.unlink(path.join(SAVE_FOLDER, fileName)).then(function() {
+            log('Deleted ' + fileName);
+            forgetRecoveredDraft(fileName);
+            res.redirect(SEE_OTHER, '/drafts');
+        });
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP GET /drafts-export.format?file=name request. */
+function onGetDraftsExport(format, req, res) {
+    return Promise.resolve().then(function() {
+        const id = DRAFT_FILE_NAME.exec(req.query.file || '');
+        if (!id) {
+            throw `${JSON.stringify(req.query.file || '')} isn't the name of a saved form.`;
+        }
+        return fsp.readFile(
+            path.join(SAVE_FOLDER, req.query.file), {encoding: ENCODING}
+        ).then(JSON.parse);
+    }).then(function(form) {
+        return sendExport(form, format, res);
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/* The revision history of a message is a list of the values of its fields,
+   each time the message was opened or submitted, stored in HISTORY_FOLDER
+   in a file named for its message number.
+*/
+const HISTORY_FOLDER = path.join(SAVE_FOLDER, 'history');
+const HISTORY_LIMIT = 100; // revisions of one message
+
+function historyFileName(msgNo) {
+    return path.join(HISTORY_FOLDER, msgNo.toUpperCase() + '.json');
+}
+
+/** @return a Promise of the revision history of the given message. */
+function readHistory(msgNo) {
+    return fsp.readFile(
+        historyFileName(msgNo), {encoding: ENCODING}
+    ).then(JSON.parse).catch(function(err) {
+        return {msgNo: msgNo, revisions: []};
+    });
+}
+
+/** @return an array of {name, before, after} for each field that differs. */
+function diffFields(before, after) {
+    const names = Object.keys(after);
+    Object.keys(before).forEach(function(name) {
+        if (names.indexOf(name) < 0) names.push(name);
+    });
+    return names.filter(function(name) {
+        return (before[name] || '') != (after[name] || '');
+    }).map(function(name) {
+        return {name: name, before: before[name] || '', after: after[name] || ''};
+    });
+}
+
+/** Add the current values of the form's fields to the history of its message,
+    unless they're the same as the latest revision. Don't propagate any exceptions.
+*/
+function recordRevision(form, event) {
+    const environment = form.environment || {};
+    if (!form.message || environment.mode == 'readonly') {
+        return Promise.resolve();
+    }
+    var parsed;
+    try {
+        parsed = parseEmail({message: form.message});
+    } catch(err) {
+        log.warn(err);
+        return Promise.resolve();
+    }
+    const msgNo = (parsed.fields.MsgNo || '').trim();
+    if (!/^[\w\-]+$/.test(msgNo)) {
+        return Promise.resolve(); // There's no history without a message number.
+    }
+    const revision = {
+        time: new Date().getTime(),
+        who: environment.active_call_sign || environment.operator_call_sign
+            || parsed.fields.OpCall || '',
+        event: event,
+        subject: environment.subject || '',
+        fields: parsed.fields,
+    };
+    const fileName = historyFileName(msgNo);
+    return afterJournal(fileName, function() {
+        return readHistory(msgNo).then(function(history) {
+            const revisions = history.revisions;
+            const latest = revisions[revisions.length - 1];
+            if (latest && diffFields(latest.fields, revision.fields).length == 0) {
+                if (latest.event == 'saved' && event != 'saved') {
+                    revisions.pop(); // This event supersedes it.
+                } else if (latest.event == event || event == 'saved') {
+                    return; // no change
+                }
+            }
+            history.formType = parsed.formType || environment.ADDON_MSG_TYPE || history.formType;
+            revisions.push(revision);
+            if (revisions.length > HISTORY_LIMIT) {
+                revisions.splice(0, revisions.length - HISTORY_LIMIT);
+            }
+            return fsp.checkFolder(SAVE_FOLDER).then(function() {
+                return fsp.checkFolder(HISTORY_FOLDER);
+            }).then(function() {
+                return fsp.writeFileAtomic(fileName, JSON.stringify(history), {encoding: ENCODING});
+            }).then(function() {
+                log(`recorded revision ${revisions.length} of ${msgNo}`);
+            });
+        });
+    });
+}
+
+/** Handle an HTTP GET /history request, which lists the messages that have a history. */
+function onGetHistories(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return fsp.readdir(HISTORY_FOLDER).catch(function(err) {
+        return []; // no histories
+    }).then(function(fileNames) {
+        return Promise.all(fileNames.filter(function(fileName) {
+            return /^[\w\-]+\.json$/.test(fileName);
+        }).map(function(fileName) {
+            return readHistory(fileName.replace(/\.json$/, ''));
+        }));
+    }).then(function(histories) {
+        var rows = '';
+        histories.filter(function(history) {
+            return history.revisions.length > 0;
+        }).sort(function(a, b) {
+            return b.revisions[b.revisions.length - 1].time - a.revisions[a.revisions.length - 1].time;
+        }).forEach(function(history) {
+            const latest = history.revisions[history.revisions.length - 1];
+            rows += '<tr>' + EOL
+                + `  <td>${dateTimeFromTime(latest.time)}</td>` + EOL
+                + `  <td><a href="/history-${encodeURIComponent(history.msgNo)}">`
+                + `${encodeHTML(history.msgNo)}</a></td>` + EOL
+                + `  <td>${encodeHTML(latest.subject || '')}</td>` + EOL
+                + `  <td>${encodeHTML(history.formType || '')}</td>` + EOL
+                + `  <td>${history.revisions.length}</td>` + EOL
+                + '</tr>' + EOL;
+        });
+        return sendHistory(res, {
+            title: 'Message Histories',
+            content: '<table>' + EOL
+                + '<tr><th>Changed</th><th>Msg #</th><th>Subject</th><th>Form</th><th>Revisions</th></tr>' + EOL
+                + (rows || '<tr><td colspan="5">No messages have been revised.</td></tr>' + EOL)
+                + '</table>',
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP GET /history-msgNo request, which shows the changes in each revision. */
+function onGetHistory(msgNo, req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return Promise.resolve().then(function() {
+        if (!/^[\w\-]+$/.test(msgNo)) {
+            throw `${JSON.stringify(msgNo)} isn't a message number.`;
+        }
+        return readHistory(msgNo);
+    }).then(function(history) {
+        if (!history.revisions.length) {
+            throw `There's no history of message ${msgNo}.`;
+        }
+        return (history.formType ? getFieldRules(history.formType) : Promise.resolve({})).catch(function(err) {
+            return {}; // The form is unknown.
+        }).then(function(rules) {
+            const labelOf = function labelOf(name) {
+                const rule = rules[name];
+                return (rule && (rule.label || rule.name)) || name;
+            };
+            var content = '';
+            for (var r = history.revisions.length - 1; r >= 0; --r) { // newest first
+                const revision = history.revisions[r];
+                const changes = diffFields((r > 0) ? history.revisions[r - 1].fields : {}, revision.fields);
+                content += `<h3>Revision ${r + 1}: ${dateTimeFromTime(revision.time)}`
+                    + (revision.who ? ` by ${encodeHTML(revision.who)}` : '')
+                    + ` (${encodeHTML(revision.event || '')})</h3>` + EOL
+                    + '<table>' + EOL
+                    + '<tr><th>Field</th>' + ((r > 0) ? '<th>Before</th>' : '') + '<th>Value</th></tr>' + EOL
+                    + changes.map(function(change) {
+                        return '<tr>'
+                            + `<td>${encodeHTML(labelOf(change.name))}</td>`
+                            + ((r > 0) ? `<td class="before">${encodeHTML(change.before)}</td>` : '')
+                            + `<td class="after">${encodeHTML(change.after)}</td>`
+                            + '</tr>' + EOL;
+                    }).join('')
+                    + '</table>' + EOL;
+            }
+            return sendHistory(res, {
+                title: `History of ${encodeHTML(msgNo)}`,
+                content: content,
+            });
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+function sendHistory(res, data) {
+    return fsp.readFile(
+        path.join('bin', 'history.html'), {encoding: ENCODING}
+    ).then(function(template) {
+        res.end(expandVariables(template, data), CHARSET);
+    });
+}
+
+/* A preset is a named copy of the fields of a form, which can be used to
+   fill in a new message of the same type. The presets for each type of form
+   are stored in a file in PRESET_FOLDER, like {name: {message, saved}}.
+   Fields that are different in each message (like MsgNo and the date)
+   are omitted, so the form will initialize them as usual.
+*/
+const PRESET_FOLDER = path.join(SAVE_FOLDER, 'presets');
+const PRESET_OMITTED = ['MsgNo', 'OpCall', 'OpName', 'OpDate', 'OpTime'];
+
+function presetFileName(formType) {
+    return path.join(PRESET_FOLDER, formType.replace(/\.html$/i, '') + '.json');
+}
+
+/** @return the presets for the given type of form (not a Promise). */
+function readPresets(formType) {
+    const fileName = presetFileName(formType);
+    return fs.existsSync(fileName) ? readJSON(fileName, {}) : {};
+}
+
+function writePresets(formType, presets) {
+    return fsp.checkFolder(SAVE_FOLDER).then(function() {
+        return fsp.checkFolder(PRESET_FOLDER);
+    }).then(function() {
+        return fsp.writeFileAtomic(
+            presetFileName(formType), JSON.stringify(presets), {encoding: ENCODING});
+    });
+}
+
+/** @return a Promise of {formType: [preset names]} for all types of form. */
+function listPresets() {
+    return fsp.readdir(PRESET_FOLDER).catch(function(err) {
+        return []; // no presets
+    }).then(function(fileNames) {
+        const result = {};
+        fileNames.forEach(function(fileName) {
+            if (/^[\w\-.]+\.json$/.test(fileName)) {
+                const formType = fileName.replace(/\.json$/, '.html');
+                const names = Object.keys(readPresets(formType)).sort();
+                if (names.length) {
+                    result[formType] = names;
+                }
+            }
+        });
+        return result;
+    });
+}
+
+/** @return a Promise of a copy of message, without the fields that are
+    different in each message.
+*/
+function presetMessage(message, formType) {
+    return getFieldRules(formType).catch(function(err) {
+        log.warn(err);
+        return {}; // The form is unknown, so go by field names.
+    }).then(function(rules) {
+        return toEOL(message).split(EOL).filter(function(line) {
+            const found = /^([^\s!#:][^:]*):\s*\[/.exec(line);
+            if (!found) {
+                return true; // not a field
+            }
+            const name = found[1].trim();
+            const fullName = (rules[name] && rules[name].name) || name;
+            return PRESET_OMITTED.indexOf(name) < 0
+                && !/(^|[.\s_])(date|time)$/i.test(fullName);
+        }).join(EOL);
+    });
+}
+
+/** Replace the form's message with the given preset. */
+function applyPreset(form, name) {
+    return Promise.resolve().then(function() {
+        const formType = form.environment.ADDON_MSG_TYPE;
+        if (form.environment.mode == 'readonly') {
+            throw 'A preset can only be used in a new message.';
+        }
+        const preset = formType && readPresets(formType)[name];
+        if (!preset) {
+            throw `There's no preset named ${JSON.stringify(name)} for ${formType}.`;
+        }
+        form.message = preset.message;
+        log(`applied preset ${JSON.stringify(name)} to ${formType}`);
+    });
+}
+
+/** @return HTML for links to fill in the form from each preset of its type,
+    and to save its data as a preset.
+*/
+function presetLinks(form) {
+    const environment = form.environment;
+    if (!environment.presetURL || !environment.ADDON_MSG_TYPE) return '';
+    const names = Object.keys(readPresets(environment.ADDON_MSG_TYPE)).sort();
+    return ' | <a href="' + environment.presetURL + '" target="_blank">Presets</a>'
+        + (names.length ? ': ' : '')
+        + names.map(function(name) {
+            return `<a href="${environment.formURL}?preset=${encodeURIComponent(name)}"`
+                + (form.message ? ' onclick="return confirm(\'Replace the data in this form?\');"' : '')
+                + `>${encodeHTML(name)}</a>`;
+        }).join(' ');
+}
+
+/** Handle an HTTP GET /presets-formId request, which shows the presets
+    for the type of the form, and offers to save the form's data as a preset.
+*/
+function onGetPresets(formId, req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return requireForm(formId).then(function(form) {
+        const formType = form.environment && form.environment.ADDON_MSG_TYPE;
+        if (!formType) {
+            throw `Form ${formId} hasn't been loaded.`;
+        }
+        const presets = readPresets(formType);
+        const rows = Object.keys(presets).sort().map(function(name) {
+            return '<tr>' + EOL
+                + `  <td><a href="${form.environment.formURL}?preset=${encodeURIComponent(name)}"`
+                + ` target="_blank">${encodeHTML(name)}</a></td>` + EOL
+                + `  <td>${dateTimeFromTime(presets[name].saved)}</td>` + EOL
+                + `  <td><form method="POST" action="/presets-${formId}">`
+                + '<input type="hidden" name="action" value="delete"/>'
+                + `<input type="hidden" name="name" value="${encodeHTML(name)}"/>`
+                + '<input type="submit" value="Delete"/></form></td>' + EOL
+                + '</tr>' + EOL;
+        }).join('');
+        return fsp.readFile(
+            path.join('bin', 'presets.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                formType: encodeHTML(formType),
+                formId: formId,
+                subject: encodeHTML(form.environment.subject || ''),
+                disabled: form.message ? '' : 'disabled',
+                rows: rows || '<tr><td colspan="3">There are no presets for this form.</td></tr>' + EOL,
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP POST /presets-formId request, to save or delete a preset. */
+function onPostPresets(formId, req, res) {
+    const body = req.body || {};
+    const name = (body.name || '').trim();
+    return requireForm(formId).then(function(form) {
+        const formType = form.environment && form.environment.ADDON_MSG_TYPE;
+        if (!formType) {
+            throw `Form ${formId} hasn't been loaded.`;
+        }
+        if (!name) {
+            throw 'A preset needs a name.';
+        }
+        const presets = readPresets(formType);
+        switch(body.action) {
+        case 'save':
+            if (!form.message) {
+                throw 'The form has no data to save. Please edit the form, and try again.';
+            }
+            return presetMessage(form.message, formType).then(function(message) {
+                presets[name] = {message: message, saved: new Date().getTime()};
+                return writePresets(formType, presets);
+            });
+        case 'delete':
+            delete presets[name];
+            return writePresets(formType, presets);
+        default:
+            throw `I don't know how to ${JSON.stringify(body.action)}.`;
+        }
+    }).then(function() {
+        res.redirect(SEE_OTHER, `/presets-${formId}`);
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+function parseArgs(args) {
+    var environment = {};
+    for (var i = 0; i < args.length; i++) {
+        var nameValue = args[i].match(NameValueArg);
+        if (nameValue) {
+            environment[nameValue[1]] = nameValue[2];
+        }
+    }
+    ['COPY_NAMES', 'MSG_INDEX', 'MSG_STATE', 'SPOOL_DIR'].forEach(function(name) {
+        if (environment[name] == '{{' + name + '}}') {
+            // The caller didn't provide a value for this variable.
+            delete environment[name];
+        }
+    });
+    if ((environment.MSG_STATE || '').toLowerCase() == 'undefined') {
+        delete environment.MSG_STATE;
+    }
+    if (environment.MSG_NUMBER == '-1') { // a sentinel value
+        delete environment.MSG_NUMBER;
+    }
+    if (environment.MSG_LOCAL_ID == '-1') { // a sentinel value
+        delete environment.MSG_LOCAL_ID;
+    }
+    if (/^\?*$/.test(environment.MSG_DATETIME_HEADER)) { // a sentinel value
+        delete environment.MSG_DATETIME_HEADER;
+    }
+    if (environment.message_status == 'draft' && !environment.MSG_INDEX) {
+        // This probably came from an old version of Outpost.
+        // Without a MSG_INDEX, the operator can't revise the message:
+        environment.mode = 'readonly';
+    }
+    return environment;
+}
+
+/** Remove any line breaks that the BBS might have inserted into
+    lines that look like form data. Don't transDecode the message.
+ */
+function repairMessage(msg) {
+    //log(`repairMessage(${JSON.stringify(msg)})`);
+    if (!msg) {
+        return msg;
+    }
+    // JNOS inserts a line break after every 127 bytes in a line.
+    // It might insert a break within a multi-byte UTF-8 character.
+    // Remove any line breaks that were inserted into the message:
     var message = '';
     var partial = '';
     // Append lines into partial until a complete line is found;
@@ -1272,7 +2570,7 @@ function repairMessage(msg) {
     if (partial) {
         message += partial + EOL;
     }
-    log(`repairMessage = ${message}`);
+    log.debug(`repairMessage = ${message}`);
     return message;
 }
 
@@ -1288,7 +2586,11 @@ function readFormDataFile(environment) {
         msgFileName, {encoding: 'binary'} // Read the bytes, unmodified.
     ).then(function(msg) {
         fs.unlink(msgFileName, function(err) {
-            log(err ? err : ("Deleted " + msgFileName));
+            if (err) {
+                log.error(err);
+            } else {
+                log("Deleted " + msgFileName);
+            }
         });
         // Repair the bytes and then decode them.
         return decode[ENCODING](repairMessage(toEOL(msg)));
@@ -1307,9 +2609,16 @@ function onForm(formId, req, res) {
         return loadForm(
             formId, form
         ).then(function() {
-            return getForm(form, res);
-        }).then(function(data) {
-            res.end(data, CHARSET);
+            if (req.query.preset) {
+                return applyPreset(form, req.query.preset).then(function() {
+                    journalForm(formId, form);
+                    res.redirect(SEE_OTHER, '/form-' + formId); // without the query
+                });
+            }
+            journalForm(formId, form);
+            return getForm(form, res).then(function(data) {
+                res.end(data, CHARSET);
+            });
         });
     }).catch(function(err) {
         res.end(errorToHTML(err, form), CHARSET);
@@ -1326,8 +2635,11 @@ function loadForm(formId, form) {
             + formId;
     }
     form.environment.pingURL = '/ping-' + formId;
+    form.environment.exportURL = '/export-' + formId;
+    form.environment.formURL = '/form-' + formId;
     if (form.environment.mode != 'readonly') {
         form.environment.saveURL = '/message-' + formId;
+        form.environment.presetURL = '/presets-' + formId;
     }
     if (form.message != null) {
         return Promise.resolve();
@@ -1350,6 +2662,12 @@ function loadForm(formId, form) {
             if (!form.environment.subject) {
                 form.environment.subject = subjectFromMessage(parsed);
             }
+            recordRevision(form, 'opened');
+            if (form.environment.message_status == 'received'
+                && form.environment.MSG_FILENAME // from Outpost
+                && !form.environment.SPOOL_DIR) { // not convert
+                logOutpostReceived(form.environment, parsed);
+            }
         }
     });
 }
@@ -1362,13 +2680,15 @@ function readJSON(fileName, defaultValue) {
         if (defaultValue == undefined) {
             throw err;
         } else {
-            log(err);
+            log.warn(err);
             return defaultValue;
         }
     }
 }
 
-/** A description of data that are stored in files for future use. */
+/** A description of data that are stored in files for future use,
+    for forms that don't have a pack-it-forms-recall meta tag.
+*/
 const savedData = {
     'form-report-911.html': [ // data submitted from this form
         {
@@ -1383,51 +2703,315 @@ const savedData = {
         },
     ],
 };
+const RECALL_RECENT = 8; // how many recent values to save, by default
+
+/** @return an array of descriptions of the data that a form recalls.
+    A form declares them with a meta tag, for example
+    <meta name="pack-it-forms-recall" content="recentReportingLocations=33.:8; recentReportTakers=34.">
+    which means save the 8 most recent values of field 33. as recentReportingLocations
+    and the RECALL_RECENT most recent values of field 34. as recentReportTakers.
+    The form can use them as {{recall:recentReportingLocations}}.
+*/
+function recallSpecs(formType, html) {
+    if (html == null) {
+        try {
+            html = fs.readFileSync(path.join(PackItForms, formType), ENCODING);
+        } catch(err) {
+            html = '';
+        }
+    }
+    const content = getMetaContents(html)['pack-it-forms-recall'];
+    if (content == null) {
+        return savedData[formType] || [];
+    }
+    const specs = [];
+    content.split(';').forEach(function(item) {
+        const found = /^\s*(\w+)\s*=\s*(.*?)(:(\d+))?\s*$/.exec(item);
+        if (found && found[2] && found[1] != 'pinned') {
+            specs.push({
+                fieldName: toShortName(found[2]),
+                savedName: found[1],
+                recent: found[4] ? parseInt(found[4]) : RECALL_RECENT,
+            });
+        } else if (item.trim()) {
+            log(`${formType} pack-it-forms-recall ${JSON.stringify(item)} is invalid`);
+        }
+    });
+    return specs;
+}
 
 function savedDataFileName(formType) {
     return path.join(SAVE_FOLDER, formType.replace(/\.html$/, '.json'));
 }
 
-function readSavedData(formType) {
+/** @return the saved data for the given form type: an array of
+    recent values for each savedName, plus pinned values in
+    data.pinned[savedName], which are recalled first and never forgotten.
+*/
+function readSavedData(formType, specs) {
     //log(`readSavedData(${formType})`);
-    const specs = savedData[formType];
-    if (!specs) return {};
     const data = readJSON(savedDataFileName(formType), {});
-    specs.forEach(function(spec) {
+    (specs || recallSpecs(formType)).forEach(function(spec) {
         if (spec.savedName && (typeof data[spec.savedName]) == 'string') {
             // This item should be an array of the most recently used values.
             // Previous versions of this code stored stringified arrays.
             data[spec.savedName] = JSON.parse(data[spec.savedName]);
         }
     });
+    if (!data.pinned) {
+        data.pinned = {};
+    }
     return data;
 }
 
+function writeSavedData(formType, data) {
+    const newData = JSON.stringify(data);
+    //log('writeSavedData newData ' + newData);
+    return fsp.checkFolder(SAVE_FOLDER).then(function() {
+        return fsp.writeFile(
+            savedDataFileName(formType), newData, {encoding: ENCODING}
+        );
+    });
+}
+
+/** @return an array of the values to recall, pinned values first. */
+function recallValues(data, savedName) {
+    const pinned = data.pinned[savedName] || [];
+    return pinned.concat((data[savedName] || []).filter(function(value) {
+        return pinned.indexOf(value) < 0;
+    }));
+}
+
+/** Add a value to the front of an array of recent values, with no duplicates. */
+function addRecent(data, spec, newValue) {
+    var recent = (data[spec.savedName] || []).filter(function(oldValue) {
+        return oldValue != newValue;
+    });
+    recent.unshift(newValue);
+    if (recent.length > spec.recent) recent.length = spec.recent;
+    data[spec.savedName] = recent;
+}
+
 function saveSubmitted(formType, parsedMessage) {
     const t = formType || parsedMessage.formType;
-    const specs = t && savedData[t];
-    if (specs) {
-        //log(`saveSubmitted(${formType})`);
+    const specs = t && recallSpecs(t);
+    if (specs && specs.length) {
+        //log(`saveSubmitted(${t})`);
         // Update the saved data, asynchronously:
-        const data = readSavedData(formType);
+        const data = readSavedData(t, specs);
         specs.forEach(function(spec) {
             const newValue = parsedMessage.fields[spec.fieldName];
             //log('saveSubmitted ' + spec.fieldName + ' ' + newValue);
-            if (newValue) {
-                var recent = (data[spec.savedName] || []).filter(function(oldValue) {
-                    return oldValue != newValue;
+            if (newValue && (data.pinned[spec.savedName] || []).indexOf(newValue) < 0) {
+                addRecent(data, spec, newValue);
+            }
+        });
+        writeSavedData(t, data).catch(log.error);
+    }
+}
+
+/** @return a Promise of an array of {formType, specs} for all the forms that recall data. */
+function listRecallForms() {
+    return fsp.readdir(PackItForms).then(function(fileNames) {
+        return Promise.all(fileNames.filter(function(fileName) {
+            return /\.html$/.test(fileName);
+        }).sort().map(function(formType) {
+            return fsp.readFile(
+                path.join(PackItForms, formType), {encoding: ENCODING}
+            ).then(function(html) {
+                return {formType: formType, specs: recallSpecs(formType, html)};
+            });
+        }));
+    }).then(function(forms) {
+        return forms.filter(function(form) {
+            return form.specs.length > 0;
+        });
+    });
+}
+
+/** Handle an HTTP GET /recall request. */
+function onGetRecall(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return listRecallForms().then(function(forms) {
+        var lists = '';
+        forms.forEach(function(form) {
+            const data = readSavedData(form.formType, form.specs);
+            const hidden = function hidden(name, value) {
+                return `<input type="hidden" name="${name}" value="${encodeHTML(value)}"/>`;
+            };
+            const formType = hidden('formType', form.formType);
+            lists += `<h3 id="${encodeHTML(form.formType)}">${encodeHTML(form.formType)}</h3>` + EOL;
+            form.specs.forEach(function(spec) {
+                const savedName = hidden('savedName', spec.savedName);
+                const pinned = data.pinned[spec.savedName] || [];
+                lists += '<table>' + EOL
+                    + `<tr><th>${encodeHTML(spec.savedName)}`
+                    + ` (field ${encodeHTML(spec.fieldName)},`
+                    + ` pinned values and up to ${spec.recent} recent values)</th></tr>` + EOL;
+                recallValues(data, spec.savedName).forEach(function(value) {
+                    const isPinned = pinned.indexOf(value) >= 0;
+                    lists += `<tr${isPinned ? ' class="pinned"' : ''}><td>`
+                        + '<form method="POST" action="/recall">'
+                        + formType + savedName + hidden('oldValue', value)
+                        + `<input type="text" name="value" value="${encodeHTML(value)}"/>`
+                        + ' <button type="submit" name="action" value="change">Change</button>'
+                        + ` <button type="submit" name="action" value="${isPinned ? 'unpin' : 'pin'}">`
+                        + (isPinned ? 'Unpin' : 'Pin') + '</button>'
+                        + ' <button type="submit" name="action" value="delete">Delete</button>'
+                        + '</form></td></tr>' + EOL;
                 });
-                recent.unshift(newValue);
-                if (recent.length > spec.recent) recent.length = spec.recent;
-                data[spec.savedName] = recent;
+                lists += '<tr><td><form method="POST" action="/recall">'
+                    + formType + savedName
+                    + '<input type="text" name="value" required/>'
+                    + ' <button type="submit" name="action" value="add">Add</button>'
+                    + ' <button type="submit" name="action" value="clear" formnovalidate'
+                    + ` onclick="return confirm('Clear all the values, including pinned values?');"`
+                    + '>Clear</button>'
+                    + '</form></td></tr>' + EOL
+                    + '</table><br/>' + EOL;
+            });
+            lists += '<form method="POST" action="/recall">'
+                + formType + hidden('action', 'import')
+                + 'Import values from a CSV file. The first row names the columns,'
+                + ' for example ' + form.specs.map(function(spec) {
+                    return encodeHTML(spec.savedName);
+                }).join(',') + '.<br/>' + EOL
+                + '<textarea name="csv" rows="4" cols="60" required></textarea><br/>' + EOL
+                + '<input type="button" value="Upload" onclick="this.nextSibling.click()"/>'
+                + '<input type="file" style="display:none;" onchange="uploadCSV(this)"/>'
+                + ' <label><input type="checkbox" name="pin" value="true" checked/>pin imported values</label>'
+                + ' <input type="submit" value="Import"/>'
+                + '</form>' + EOL;
+        });
+        return fsp.readFile(
+            path.join('bin', 'recall.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                lists: lists || 'No form recalls any data.',
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP POST /recall request, to change the saved data of one form. */
+function onPostRecall(req, res) {
+    const body = req.body || {};
+    const formType = body.formType || '';
+    return new Promise(function(resolve, reject) {
+        if (!/^[\w\-.]+\.html$/.test(formType)) {
+            throw `${JSON.stringify(formType)} isn't the name of a form.`;
+        }
+        const specs = recallSpecs(formType);
+        const data = readSavedData(formType, specs);
+        const spec = specs.find(function(spec) {
+            return spec.savedName == body.savedName;
+        });
+        if (!spec && body.action != 'import') {
+            throw `${formType} doesn't recall ${JSON.stringify(body.savedName || '')}.`;
+        }
+        const pinned = (spec && data.pinned[spec.savedName]) || [];
+        const remove = function remove(value) {
+            [pinned, data[spec.savedName] || []].forEach(function(values) {
+                const index = values.indexOf(value);
+                if (index >= 0) values.splice(index, 1);
+            });
+        };
+        const value = (body.value || '').trim();
+        switch(body.action) {
+        case 'change':
+            if (value && value != body.oldValue) {
+                const wasPinned = pinned.indexOf(body.oldValue) >= 0;
+                remove(body.oldValue);
+                remove(value);
+                if (wasPinned) {
+                    pinned.push(value);
+                } else {
+                    addRecent(data, spec, value);
+                }
             }
+            break;
+        case 'pin':
+            remove(body.oldValue);
+            pinned.push(body.oldValue);
+            break;
+        case 'unpin':
+            remove(body.oldValue);
+            addRecent(data, spec, body.oldValue);
+            break;
+        case 'delete':
+            remove(body.oldValue);
+            break;
+        case 'add':
+            if (value) {
+                remove(value);
+                addRecent(data, spec, value);
+            }
+            break;
+        case 'clear':
+            data[spec.savedName] = [];
+            pinned.length = 0;
+            break;
+        case 'import':
+            importRecallCSV(data, specs, body.csv || '', !!body.pin);
+            break;
+        default:
+            throw `I don't know how to ${JSON.stringify(body.action)}.`;
+        }
+        if (spec) {
+            data.pinned[spec.savedName] = pinned;
+        }
+        resolve(writeSavedData(formType, data));
+    }).then(function() {
+        res.redirect(SEE_OTHER, '/recall#' + encodeURIComponent(formType));
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Add the values from CSV text to saved data. The first row of the CSV
+    names the columns, each with a savedName or fieldName of the specs.
+*/
+function importRecallCSV(data, specs, csv, pin) {
+    const rows = parseCSV(csv);
+    if (rows.length < 2) {
+        throw 'The CSV data should have a row of column names and then rows of values.';
+    }
+    const columns = rows[0].map(function(name) {
+        name = name.trim();
+        return specs.find(function(spec) {
+            return spec.savedName == name || spec.fieldName == toShortName(name);
         });
-        const newData = JSON.stringify(data);
-        //log('saveSubmitted newData ' + newData);
-        fsp.writeFile(
-            savedDataFileName(formType), newData, {encoding: ENCODING}
-        ).catch(log);
+    });
+    if (!columns.some(function(spec) {return !!spec;})) {
+        throw `None of the columns ${JSON.stringify(rows[0])} are recalled by this form.`
+            + ' Use column names ' + specs.map(function(spec) {
+                return JSON.stringify(spec.savedName);
+            }).join(' or ') + '.';
     }
+    // Add the values in reverse order, so the first row ends up first.
+    rows.slice(1).reverse().forEach(function(row) {
+        row.forEach(function(cell, c) {
+            const spec = columns[c];
+            const value = cell.trim();
+            if (!spec || !value) return;
+            const pinned = data.pinned[spec.savedName] || [];
+            if (pin) {
+                data[spec.savedName] = (data[spec.savedName] || []).filter(function(v) {
+                    return v != value;
+                });
+                if (pinned.indexOf(value) < 0) {
+                    pinned.unshift(value);
+                }
+                data.pinned[spec.savedName] = pinned;
+            } else if (pinned.indexOf(value) < 0) {
+                addRecent(data, spec, value);
+            }
+        });
+    });
 }
 
 /** Return a promise that resolves to the HTML for this form. */
@@ -1448,7 +3032,7 @@ function getFormHTML(form, formType) {
 }
 
 function getForm(form, res) {
-    log('getForm ' + JSON.stringify(form.environment));
+    log.debug('getForm ' + JSON.stringify(form.environment));
     if (!form.environment.addon_name) {
         throw new Error('addon_name is ' + form.environment.addon_name + '\n');
     }
@@ -1475,13 +3059,17 @@ function getForm(form, res) {
             if (savedData == undefined) {
                 savedData = readSavedData(formType);
             }
-            return JSON.stringify(savedData[fieldName]);
+            return JSON.stringify(recallValues(savedData, fieldName));
         }).replace(
             /<\s*script\b[^>]*\bsrc\s*=\s*"resources\/integration\/integration.js"/,
             '<script type="text/javascript">'
                 + '\n      var integrationEnvironment = ' + JSON.stringify(form.environment)
                 + ';\n      var integrationMessage = ' + JSON.stringify(form.message)
-                + ';\n    </script>\n    $&');
+                + ';\n    </script>\n    $&'
+        ).replace(
+            /<\s*body\b[^>]*>/i,
+            '$&\n' + exportToolbar(form, recallSpecs(formType, data).length > 0)
+                + recoveredDraftsNotice());
         // It would be more elegant to inject data into integration.js,
         // but sadly that file is cached by the Chrome browser.
         // So changes would be ignored by the browser, for example
@@ -1495,6 +3083,213 @@ function getForm(form, res) {
     });
 }
 
+const EXPORT_FORMATS = ['json', 'csv', 'xml', 'txt'];
+
+/** @return HTML for links to export the form's message,
+    and to edit its recalled values if any. They aren't printed.
+*/
+function exportToolbar(form, recalls) {
+    const url = form.environment.exportURL;
+    if (!url) return '';
+    return '<style type="text/css">'
+        + ' #export-toolbar {float:right; font-size:9pt; padding:2pt 6pt; border:1px solid #a0a0a0; background-color:#ffffff;}'
+        + ' @media print {#export-toolbar {display:none;}}'
+        + ' </style>\n'
+        + '<div id="export-toolbar">Export: '
+        + EXPORT_FORMATS.map(function(format) {
+            return `<a href="${url}.${format}" target="_blank">${format.toUpperCase()}</a>`;
+        }).join(' ')
+        + (recalls ? (' | <a href="/recall#' + encodeURIComponent(form.environment.ADDON_MSG_TYPE)
+                      + '" target="_blank">Recalled Values</a>') : '')
+        + historyLink(form)
+        + presetLinks(form)
+        + '</div>\n';
+}
+
+/** Handle an HTTP GET /export-formId.format request. */
+function onGetExport(formId, format, res) {
+    var form = null;
+    return requireForm(formId).then(function(foundForm) {
+        form = foundForm;
+        return sendExport(form, format, res);
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err, form && form.environment), CHARSET);
+    });
+}
+
+/** @return HTML for a link to the revision history of the form's message, if any. */
+function historyLink(form) {
+    if (!form.message) return '';
+    try {
+        const msgNo = (parseEmail({message: form.message}).fields.MsgNo || '').trim();
+        if (/^[\w\-]+$/.test(msgNo) && fs.existsSync(historyFileName(msgNo))) {
+            return ` | <a href="/history-${encodeURIComponent(msgNo)}" target="_blank">History</a>`;
+        }
+    } catch(err) {
+        log.warn(err);
+    }
+    return '';
+}
+
+/** Send the form's message in the given format. */
+function sendExport(form, format, res) {
+    return Promise.resolve().then(function() {
+        if (EXPORT_FORMATS.indexOf(format) < 0) {
+            throw `I don't know how to export ${JSON.stringify(format)}.`
+                + ` I know ${EXPORT_FORMATS.join(', ')}.`;
+        }
+        if (!form.message) {
+            throw "The form hasn't been submitted yet, so there's nothing to export."
+                + ' Please submit it and try again.';
+        }
+        const parsed = parseMessage(form.message, form.environment);
+        const data = {
+            subject: form.environment.subject || subjectFromMessage(parseMessage(form.message)),
+            addonName: parsed.addonName || form.environment.addon_name,
+            addonVersion: parsed.addonVersion,
+            formType: parsed.formType || form.environment.ADDON_MSG_TYPE,
+            urgent: isUrgent(form.message),
+            headers: parsed.headers,
+            fields: parsed.fields,
+        };
+        const fileName = (toFileName(data.subject) || 'message') + '.' + format;
+        res.set({'Content-Disposition': `inline; filename="${fileName.replace(/"/g, '')}"`});
+        noCache(res);
+        switch(format) {
+        case 'json':
+            res.set({'Content-Type': JSON_TYPE + '; charset=' + CHARSET});
+            res.end(JSON.stringify(data, null, 2), CHARSET);
+            break;
+        case 'csv':
+            res.set({'Content-Type': TEXT_CSV});
+            res.end(exportCSV(data), CHARSET);
+            break;
+        case 'xml':
+            res.set({'Content-Type': TEXT_XML});
+            res.end(exportXML(data), CHARSET);
+            break;
+        case 'txt':
+            return readableText(data).then(function(text) {
+                res.set({'Content-Type': TEXT_PLAIN});
+                res.end(text, CHARSET);
+            });
+        }
+    });
+}
+
+const READABLE_WIDTH = 72; // characters per line of readable text
+
+/** @return a Promise of a plain text rendering of a message's fields,
+    with one "Label: value" paragraph per field, wrapped to READABLE_WIDTH.
+    The labels come from the form's HTML or its rules file.
+*/
+function readableText(data) {
+    return (data.formType ? getFieldRules(data.formType) : Promise.resolve({})).catch(function(err) {
+        log.warn(err);
+        return {}; // The form is unknown, so use field names as labels.
+    }).then(function(rules) {
+        var text = '';
+        if (data.subject) {
+            text += wrapText(data.subject, '') + EOL;
+        }
+        text += wrapText(`Form: ${data.formType || ''}`, '') + EOL + EOL;
+        Object.keys(data.fields).forEach(function(name) {
+            const value = data.fields[name];
+            if (value) {
+                const rule = rules[name];
+                const label = (rule && rule.label) || humanizeFieldName((rule && rule.name) || name);
+                // pack-it-forms represents a line break as \n:
+                text += wrapText(`${label}: ${value.replace(/\\n/g, EOL)}`, '    ') + EOL;
+            }
+        });
+        return text;
+    });
+}
+
+/** @return a readable label for a field, for example "10. Subject" from "10.subject". */
+function humanizeFieldName(name) {
+    const found = /^([\d.]*[\d]\.?)?\s*(.*)$/.exec(name);
+    const words = found[2]
+          .replace(/([a-z])([A-Z])/g, '$1 $2')
+          .replace(/[_\-]+/g, ' ')
+          .trim();
+    return ((found[1] ? found[1] + ' ' : '') + words.charAt(0).toUpperCase() + words.substring(1)).trim()
+        || name;
+}
+
+/** @return a Promise of a readable copy of a form message, to follow the message
+    for the benefit of recipients who can't view the form.
+*/
+function readableTrailer(message, subject) {
+    const parsed = parseEmail({message: message});
+    return readableText({
+        subject: subject,
+        formType: parsed.formType,
+        fields: parsed.fields,
+    }).then(function(text) {
+        return (message.endsWith('\n') ? '' : EOL) + EOL
+            + '-- The message above, in plain text --' + EOL
+            + text.replace(/^\/EX(\r?)$/gm, ' /EX$1'); // not the end-of-message marker
+    });
+}
+
+/** Break text into lines no longer than READABLE_WIDTH, where possible.
+    Lines after the first begin with indent.
+*/
+function wrapText(text, indent) {
+    const lines = [];
+    text.split(/\r?\n/).forEach(function(paragraph) {
+        var line = lines.length ? indent : '';
+        paragraph.split(/ +/).forEach(function(word) {
+            if (line.trim() && (line + word).length > READABLE_WIDTH) {
+                lines.push(line.replace(/ +$/, ''));
+                line = indent;
+            }
+            line += word + ' ';
+        });
+        lines.push(line.replace(/ +$/, ''));
+    });
+    return lines.join(EOL);
+}
+
+/** @return a header row and a data row, with one column per field.
+    Several exports can be combined into a spreadsheet, one row per message.
+*/
+function exportCSV(data) {
+    const names = ['Subject', 'Form', 'Version'];
+    const values = [data.subject, data.formType, data.addonVersion];
+    Object.keys(data.fields).forEach(function(name) {
+        names.push(name);
+        values.push(data.fields[name]);
+    });
+    return names.map(enquoteCSV).join(',') + EOL
+        + values.map(enquoteCSV).join(',') + EOL;
+}
+
+function exportXML(data) {
+    var xml = '<?xml version="1.0" encoding="UTF-8"?>' + EOL
+        + '<message'
+        + ` addon="${encodeXML(data.addonName || '')}"`
+        + ` version="${encodeXML(data.addonVersion || '')}"`
+        + ` form="${encodeXML(data.formType || '')}"`
+        + ` urgent="${!!data.urgent}">` + EOL
+        + `  <subject>${encodeXML(data.subject || '')}</subject>` + EOL;
+    Object.keys(data.headers).forEach(function(name) {
+        xml += `  <header name="${encodeXML(name)}">${encodeXML(data.headers[name])}</header>` + EOL;
+    });
+    Object.keys(data.fields).forEach(function(name) {
+        xml += `  <field name="${encodeXML(name)}">${encodeXML(data.fields[name])}</field>` + EOL;
+    });
+    return xml + '</message>' + EOL;
+}
+
+function encodeXML(text) {
+    return (text + '').replace(/[&<>"']/g, function(c) {
+        return {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'}[c];
+    }).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''); // not permitted in XML 1.0
+}
+
 function merge(a, b) {
     if ((typeof b) == 'undefined') return a;
     if (b == null || (typeof b) != 'object' || (typeof a) != 'object') return b;
@@ -1529,15 +3324,39 @@ function updateSettings() {
                     newSettings.Opdirect[name] = parseInt(newSettings.Opdirect[name]);
                 }
             });
+            ['port', 'channel', 'timeout'].forEach(function(name) {
+                if ((typeof newSettings.AGWPE[name]) == 'string') {
+                    newSettings.AGWPE[name] = parseInt(newSettings.AGWPE[name], 10);
+                }
+            });
+            if ((typeof newSettings.Server.port) == 'string') {
+                newSettings.Server.port = parseInt(newSettings.Server.port, 10) || 0;
+            }
+            Object.keys(newSettings.Receipts).forEach(function(name) {
+                if ((typeof newSettings.Receipts[name]) == 'string') {
+                    newSettings.Receipts[name] = parseFloat(newSettings.Receipts[name]);
+                }
+            });
+            ['json', 'gzip'].forEach(function(name) {
+                if ((typeof newSettings.Log[name]) == 'string') {
+                    newSettings.Log[name] = (newSettings.Log[name].trim().toLowerCase() == 'true');
+                }
+            });
+            ['serverDays', 'convertDays', 'openDays', 'maxSize', 'gzipDays'].forEach(function(name) {
+                if ((typeof newSettings.Log[name]) == 'string') {
+                    newSettings.Log[name] = parseFloat(newSettings.Log[name]);
+                }
+            });
             log('settings = ' + JSON.stringify(newSettings));
             return newSettings;
         });
     }, function statFailed(err) {
-        log(err);
+        log.warn(err);
         return DEFAULT_SETTINGS;
     }).then(function(newSettings) {
         settings = newSettings;
-    }).catch(log);
+        applyLogSettings();
+    }).catch(log.error);
 }
 
 function noCache(res) {
@@ -1557,6 +3376,7 @@ function onEmail(formId, reqBody, res) {
         form.environment.subject =
             reqBody.subject || subjectFromMessage(parsed);
         saveSubmitted(form.environment.ADDON_MSG_TYPE, parsed);
+        recordRevision(form, 'emailed');
         form.environment.mode = 'readonly';
         res.redirect('/form-' + formId);
     }).catch(function(err) {
@@ -1582,6 +3402,7 @@ function saveMessage(form, req) {
     // Outpost requires Windows-style line breaks:
     form.message = toEOL(message);
     log(`saveMessage ${form.message.length}`);
+    recordRevision(form, 'saved'); // It hasn't been submitted yet.
 }
 
 function isUrgent(message) {
@@ -1595,10 +3416,17 @@ function isUrgent(message) {
 
 function onSubmit(formId, req, res) {
     var form = null;
+    var queued = null;
     return requireForm(formId).then(function(foundForm) {
         form = foundForm;
-        const message = req.body.formtext;
         saveMessage(form, req);
+        journalForm(formId, form);
+        return validateMessage(form.message, form.environment.ADDON_MSG_TYPE);
+    }).then(function(problems) {
+        if (problems.length) {
+            throw {invalid: problems};
+        }
+        const message = req.body.formtext;
         const submission = {
             formId: formId,
             form: form,
@@ -1606,7 +3434,18 @@ function onSubmit(formId, req, res) {
             subject: form.environment.subject,
             urgent: isUrgent(message, form.environment)
         };
-        return submitToOpdirect(submission, messageForOpdirect(submission));
+        const body = messageForOpdirect(submission);
+        return submitMessage(submission, body).catch(function(err) {
+            if (!isOpdirectUnreachable(err)) {
+                throw err;
+            }
+            // Keep the message, and submit it later.
+            submission.logEntry = outpostSendLogEntry(form);
+            return queueSubmission(submission, body, err).then(function(item) {
+                queued = item;
+                return null;
+            });
+        });
     }).then(
         respondFromOpdirect
     ).then(function(fromOutpost) {
@@ -1628,133 +3467,1069 @@ function onSubmit(formId, req, res) {
             page += '</body></html>';
             res.end(page, CHARSET);
         } else {
+            recordRevision(form, queued ? 'queued' : 'submitted');
             form.environment.mode = 'readonly';
             // Don't closeForm, so the operator can view it.
             // But do delete its save file (if any):
-            const fileName = saveFileName(formId);
-            fsp.unlink(fileName).then(function() {
-                log("Deleted " + fileName);
+            unjournalForm(formId);
+            if (!queued) {
+                appendToManualLog(outpostSendLogEntry(form));
+            }
+            if (queued) {
+                res.set({'Content-Type': TEXT_HTML});
+                res.end(queuedToHTML(queued), CHARSET);
+            } else {
+                res.redirect('/form-' + formId);
+            }
+        }
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end((err && err.invalid) ? invalidToHTML(err.invalid)
+                : errorToHTML(err, form && form.environment),
+                CHARSET);
+    });
+}
+
+const PIF_VERSION = '2.2'; // the version of the message format that pack-it-forms creates
+
+/** Handle an HTTP POST /api/messages request.
+    The request body is JSON, for example:
+    {"addonName": "SCCoPIFO", "formType": "form-ics213.html",
+     "fields": {"MsgNo": "XSC-101P", "5.handling": "ROUTINE", "10.subject": "test"},
+     "submit": true}
+    The response is JSON, containing the message and its subject.
+    See README.md for details.
+*/
+function onPostApiMessage(req, res) {
+    var status = CREATED;
+    var result = {};
+    return Promise.resolve().then(function() {
+        return apiMessage(req.body);
+    }).then(function(message) {
+        result = message;
+        if (!req.body.submit) {
+            return;
+        }
+        const submission = {
+            addonName: message.addonName,
+            subject: message.subject,
+            urgent: message.urgent,
+            form: {environment: {}, message: message.message}
+        };
+        const body = messageForOpdirect(submission);
+        return submitMessage(submission, body).then(
+            respondFromOpdirect
+        ).then(function(fromOutpost) {
+            if (fromOutpost) {
+                status = BAD_GATEWAY;
+                result.error = fromOutpost.message;
+                result.fromOutpost = fromOutpost;
+            } else {
+                result.submitted = true;
+            }
+        }, function(err) {
+            if (!isOpdirectUnreachable(err)) {
+                throw err;
+            }
+            return queueSubmission(submission, body, err).then(function(item) {
+                status = ACCEPTED;
+                result.queued = item.id;
             });
-            res.redirect('/form-' + formId);
+        });
+    }).then(function() {
+        log(`/api/messages ${status} ${result.subject}`);
+        res.status(status).json(result);
+    }, function(err) {
+        log.error(err);
+        res.status(err.status || INTERNAL_SERVER_ERROR).json({
+            error: errorToMessage(err.message || err),
+            problems: err.problems
+        });
+    });
+}
+
+/** Construct a message from the body of an /api/messages request.
+    @return an object containing addonName, formType, subject, urgent and message.
+*/
+function apiMessage(request) {
+    function badRequest(message) {
+        return {status: BAD_REQUEST, message: message};
+    }
+    if (!request || (typeof request) != 'object') {
+        throw badRequest('The request body must be a JSON object.');
+    }
+    const formType = request.formType;
+    const fields = request.fields || {};
+    if (!request.addonName) {
+        throw badRequest('addonName is required.');
+    }
+    if (!/^[\w\-.]+\.html$/.test(formType || '')) {
+        throw badRequest(`formType ${JSON.stringify(formType)} isn't a form file name.`);
+    }
+    if ((typeof fields) != 'object') {
+        throw badRequest('fields must be an object.');
+    }
+    return Promise.all([
+        getAddonNames(),
+        fsp.stat(path.join(PackItForms, formType)).catch(function(err) {
+            return null;
+        }),
+        request.addonVersion
+            ? Promise.resolve(request.addonVersion)
+            : fsp.readFile('version.txt', {encoding: ENCODING}).then(function(version) {
+                return version.trim() + '-' + PIF_VERSION;
+            })
+    ]).then(function(found) {
+        const addonNames = found[0];
+        if (addonNames.indexOf(request.addonName) < 0) {
+            throw badRequest(`addonName ${JSON.stringify(request.addonName)} isn't installed.`);
+        }
+        if (!found[1]) {
+            throw badRequest(`formType ${JSON.stringify(formType)} isn't installed.`);
+        }
+        var message = `!${request.addonName}!${EOL}`
+            + `#T: ${formType}${EOL}`
+            + `#V: ${found[2]}${EOL}`;
+        Object.keys(fields).forEach(function(name) {
+            const value = fields[name];
+            if (value != null && value !== '') {
+                message += toShortName(name) + ': '
+                    + bracket_data((value + '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n'))
+                    + EOL;
+            }
+        });
+        message += '!/ADDON!' + EOL;
+        const parsed = parseMessage(message);
+        return {
+            addonName: request.addonName,
+            formType: formType,
+            subject: request.subject ? asciifyHeader(request.subject) : subjectFromMessage(parsed),
+            urgent: (request.urgent != null) ? !!request.urgent : isUrgent(message),
+            message: message
+        };
+    }).then(function(result) {
+        return validateMessage(result.message, formType).then(function(problems) {
+            if (problems.length) {
+                const err = badRequest('The message is invalid, because:' + EOL + problems.join(EOL));
+                err.problems = problems;
+                throw err;
+            }
+            return result;
+        });
+    });
+}
+
+/* Before a message is submitted, its fields are checked against rules
+   derived from the form's HTML: required fields, pattern attributes,
+   the options of a select element and the values of radio buttons.
+   Only patterns (and the MsgNo rule) block submission, since a form's
+   scripts may change which fields are required and which options exist.
+   The other derived rules are merely logged as warnings.
+   A sidecar file pack-it-forms/<form>.rules.json may add or override rules,
+   for example {"fields": {"10.subject": {"required": true}}}.
+   Its rules block submission. See README.md for details.
+*/
+const RULES_SUFFIX = '.rules.json';
+const DEFAULT_FIELD_RULES = {
+    MsgNo: {pattern: '([A-Za-z0-9]{1,3}-)?[0-9]+[A-Za-z]?'},
+};
+
+function getAttributes(tag) {
+    const attributes = {};
+    const pattern = /\s([\w\-:.]+)(\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    var found;
+    while (found = pattern.exec(tag)) {
+        const value = (found[4] != null) ? found[4]
+              : (found[5] != null) ? found[5]
+              : (found[6] != null) ? found[6]
+              : '';
+        attributes[found[1].toLowerCase()] = htmlEntities.decode(value);
+    }
+    return attributes;
+}
+
+/** @return an object that maps field names (as in a message) to validation rules. */
+function fieldRulesFromHTML(html) {
+    const rules = {};
+    function ruleFor(name) {
+        const shortName = toShortName(name);
+        return rules[shortName] || (rules[shortName] = {name: name});
+    }
+    function addValue(rule, value) {
+        if (value) {
+            rule.htmlValues = rule.htmlValues || [];
+            if (rule.htmlValues.indexOf(value) < 0) {
+                rule.htmlValues.push(value);
+            }
+        }
+    }
+    const labels = {}; // id: the text of a <label for="id">
+    const labelsByName = {}; // name: the text of a <label> that contains the element
+    const labelPattern = /<\s*label\b([^>]*)>([\s\S]*?)<\s*\/\s*label\s*>/gi;
+    var found;
+    while (found = labelPattern.exec(html)) {
+        const id = getAttributes(found[1])['for'];
+        const element = /<\s*(input|select|textarea)\b[^>]*>/i.exec(found[2]);
+        const text = htmlEntities.decode(
+            (element ? found[2].substring(0, element.index) : found[2]).replace(/<[^>]*>/g, ' ')
+        ).replace(/\s+/g, ' ').replace(/[\s:]+$/, '').trim();
+        if (!text) {
+            continue;
+        } else if (id) {
+            labels[id] = text;
+        } else if (element) {
+            const name = getAttributes(element[0]).name;
+            if (name) labelsByName[name] = text;
+        }
+    }
+    const elements = /<\s*(input|select|textarea)\b[^>]*>/gi;
+    while (found = elements.exec(html)) {
+        const element = found[1].toLowerCase();
+        const attributes = getAttributes(found[0]);
+        const type = (attributes.type || 'text').toLowerCase();
+        if (!attributes.name || attributes.disabled != null
+            || ['button', 'hidden', 'reset', 'submit'].indexOf(type) >= 0) {
+            continue;
+        }
+        const rule = ruleFor(attributes.name);
+        // A radio button's label describes one of its values, not the field.
+        const label = (type != 'radio')
+              && ((attributes.id && labels[attributes.id]) || labelsByName[attributes.name] || attributes.title);
+        if (label && !rule.label) {
+            rule.label = label;
+        }
+        if (attributes.required != null) {
+            rule.htmlRequired = true;
+        }
+        if (attributes.pattern) {
+            rule.pattern = attributes.pattern;
+        }
+        if (element == 'input' && type == 'radio') {
+            addValue(rule, attributes.value);
+        } else if (element == 'select') {
+            const end = html.substring(elements.lastIndex).search(/<\s*\/\s*select\s*>/i);
+            const options = /<\s*option\b[^>]*>([^<]*)/gi;
+            const body = html.substring(elements.lastIndex, elements.lastIndex + Math.max(end, 0));
+            var option;
+            while (option = options.exec(body)) {
+                const value = getAttributes(option[0]).value;
+                addValue(rule, (value != null) ? value : htmlEntities.decode(option[1]).trim());
+            }
+        }
+    }
+    return rules;
+}
+
+/** @return a Promise of the validation rules for the given form. */
+function getFieldRules(formType) {
+    const formFile = path.join(PackItForms, formType);
+    return Promise.all([
+        fsp.readFile(formFile, {encoding: ENCODING}),
+        fsp.readFile(formFile.replace(/\.html$/i, '') + RULES_SUFFIX, {encoding: ENCODING}).then(
+            JSON.parse,
+            function(err) {
+                return {}; // There's no sidecar file.
+            })
+    ]).then(function(found) {
+        const sidecar = found[1];
+        if (sidecar.enabled === false) {
+            return {};
+        }
+        const rules = fieldRulesFromHTML(found[0]);
+        Object.keys(DEFAULT_FIELD_RULES).forEach(function(name) {
+            const rule = rules[name] || (rules[name] = {name: name});
+            if (!rule.pattern) {
+                rule.pattern = DEFAULT_FIELD_RULES[name].pattern;
+            }
+        });
+        const fields = sidecar.fields || {};
+        Object.keys(fields).forEach(function(name) {
+            const shortName = toShortName(name);
+            const rule = rules[shortName] || (rules[shortName] = {name: name});
+            const override = fields[name] || {};
+            Object.keys(override).forEach(function(key) {
+                rule[key] = override[key];
+            });
+        });
+        return rules;
+    });
+}
+
+/** @return a Promise of an array of problems (strings), which is empty if the message is valid.
+    Problems with rules derived from HTML (other than patterns) are logged, not returned.
+*/
+function validateMessage(message, formType) {
+    const parsed = parseEmail({message: message});
+    formType = parsed.formType || formType;
+    if (!formType) {
+        return Promise.resolve([]); // not a form
+    }
+    return getFieldRules(formType).then(function(rules) {
+        const problems = [];
+        const warnings = [];
+        Object.keys(rules).forEach(function(shortName) {
+            const rule = rules[shortName];
+            const value = parsed.fields[shortName] || '';
+            const label = rule.label || rule.name || shortName;
+            const values = rule.values || rule.htmlValues;
+            if (!value) {
+                if (rule.required) {
+                    problems.push(`${label} is required.`);
+                } else if (rule.htmlRequired && rule.required !== false) {
+                    warnings.push(`${label} is required.`);
+                }
+            } else if (values && values.length && values.indexOf(value) < 0) {
+                (rule.values ? problems : warnings).push(
+                    `${label} ${JSON.stringify(value)} isn't one of `
+                        + values.map(function(v) {return JSON.stringify(v);}).join(', ') + '.');
+            } else if (rule.pattern) {
+                var regex = null;
+                try {
+                    regex = new RegExp('^(?:' + rule.pattern + ')$');
+                } catch(err) {
+                    log(`${formType} ${label} pattern ${rule.pattern} ${err}`);
+                }
+                if (regex && !regex.test(value)) {
+                    problems.push(`${label} ${JSON.stringify(value)} isn't formatted correctly.`);
+                }
+            }
+        });
+        if (warnings.length) {
+            log.warn(`validateMessage ${formType} warnings ${JSON.stringify(warnings)}`);
+        }
+        if (problems.length) {
+            log(`validateMessage ${formType} ${JSON.stringify(problems)}`);
+        }
+        return problems;
+    }, function(err) {
+        log.warn(err);
+        return []; // The form is unknown, which is reported elsewhere.
+    });
+}
+
+function invalidToHTML(problems) {
+    return '<html><head><title>Invalid</title></head><body>'
+        + EOL + WARNING_ICON + EOL
+        + '<h3>The message wasn\'t submitted, because:</h3>' + EOL
+        + '<ul>' + EOL
+        + problems.map(function(problem) {
+            return '<li>' + encodeHTML(problem) + '</li>' + EOL;
+        }).join('')
+        + '</ul>' + EOL
+        + 'Please go back to the form, correct the problems and try again.' + EOL
+        + '</body></html>';
+}
+
+function asciifyHeader(subject) {
+    return subject && subject.replace(/[\r\n]/g, ' ').replace(/[^ -~]/g, '~');
+}
+
+const reservedURI = ":/?#[]@!$&'()*+,;="; // https://datatracker.ietf.org/doc/html/rfc3986#section-2.2
+function encodeWindowsURI(s) {
+    if (!s) return s;
+    var into = '';
+    for (c of encode[WINDOWS](s)) {
+        var code = c.charCodeAt(0);
+        if (code <= 0x20 || code >= 0x7f || reservedURI.indexOf(c) >= 0) {
+            into += ('%' + ('0' + code.toString(16)).slice(-2));
+        } else {
+            into += c;
+        }
+    }
+    //log(`encodeWindowsURI(${s}) = ${into}`);
+    return into;
+}
+
+function messageForOpdirect(submission) {
+    if (!submission.addonName) throw 'addonName is required.\n'; 
+    // Outpost requires parameters to appear in a specific order.
+    // So don't stringify them from a single object.
+    var body = querystring.stringify({adn: submission.addonName});
+    if (submission.form.environment.MSG_INDEX) {
+        body += '&' + querystring.stringify({upd: (submission.form.environment.MSG_INDEX)});
+    }
+    if (submission.subject) {
+        body += '&' + querystring.stringify({sub: asciifyHeader(submission.subject)});
+    }
+    body += '&' + querystring.stringify({urg: submission.urgent ? 'TRUE' : 'FALSE'});
+    if (submission.form.message) {
+        body += '&' + (bodyContainsAForm(submission.form.message)
+                       ? querystring.stringify({msg: submission.form.message}) // UTF8
+                       : querystring.stringify({msg: submission.form.message}, // WINDOWS
+                                               '&', '=', {encodeURIComponent: encodeWindowsURI})
+                      );
+    }
+    return body;
+}
+
+/** Evaluate the response from submitting a message to Opdirect.
+    @return null if and only if the response looks successful.
+*/
+function respondFromOpdirect(exchange) {
+    if (exchange == null) return null;
+    const res = exchange.res;
+    const data = exchange.resBody || '';
+    if (data.indexOf('Your PacFORMS submission was successful!') >= 0) {
+        return {message: "That's an obsolete version of Outpost, it appears.",
+                headers: copyHeaders(res.headers),
+                body: data};
+    } else if (res.statusCode < HTTP_OK || res.statusCode >= 300) {
+        return {message: 'HTTP status ' + res.statusCode + ' ' + res.statusMessage,
+                headers: copyHeaders(res.headers),
+                body: data};
+    }
+    var returnCode = 0;
+    // Look for <meta name="OpDirectReturnCode" content="403"> in the body:
+    var matches = data.match(/<\s*meta\s+[^>]*\bname\s*=\s*"OpDirectReturnCode"[^>]*/i);
+    if (matches) {
+        matches = matches[0].match(/\s+content\s*=\s*"\s*([^"]*)\s*"/i);
+        if (matches) {
+            returnCode = parseInt(matches[1]);
+        }
+    }
+    if (returnCode < HTTP_OK || returnCode >= 300) {
+        return {message: 'OpDirectReturnCode ' + returnCode,
+                headers: copyHeaders(res.headers),
+                body: data};
+    } else {
+        return null;
+    }
+}
+
+/** @return a Promise, which will be an httpPromise if all goes well,
+    or rejected if something goes wrong.
+*/
+function submitToOpdirect(submission, body) {
+    const context = submission.formId ? ('/form-' + submission.formId + ' ') : '';
+    const options = settings.Opdirect;
+    return Promise.resolve().then(function() {
+        // URL encode the 'E' in '#EOF', to prevent Outpost from treating this as a PacFORM message:
+        body = body.replace(/%23EOF/gi, function(match) {
+            // Case insensitive:
+            return '%23' + {E: '%45', e: '%65'}[match.substring(3, 1)] + match.substring(4);
+        });
+        // Mark the end of the request body. This must be the last parameter:
+        body += '&' + querystring.stringify({'4VAO': '\r\n#EOF'});
+        // The #EOF value makes the request fail fast if the server is an old version of Outpost.
+        // An old server recognizes %23EOF as an end-of-message marker, decodes the body,
+        // finds there is no parameter named formtext and fails.
+        // A new server recognizes &4VAO= as the end-of-message marker.
+        // Either server ignores the HTTP Content-Length header; it just scans for the marker.
+        // Send an HTTP request.
+        log(context + 'to Outpost ' + JSON.stringify(options) + ' ' + body);
+        const exchange = httpExchange(options);
+        exchange.req.setHeader('Content-Type', 'application/x-www-form-urlencoded');
+        return httpPromise(exchange, body);
+    }).then(function(exchange) {
+        const problem = respondFromOpdirect(exchange);
+        lastOpdirectExchange = {
+            time: new Date().getTime(),
+            subject: submission.subject || '',
+            status: exchange.res.statusCode,
+            problem: problem ? problem.message : null,
+        };
+        return exchange;
+    }, function(err) {
+        lastOpdirectExchange = {
+            time: new Date().getTime(),
+            subject: submission.subject || '',
+            problem: errorToMessage(err),
+        };
+        throw err;
+    }).catch(function(err) {
+        if (err == 'req.timeout' || err == 'res.timeout') {
+            throw OpdirectTimedOut + options.timeout + ' milliseconds.'
+                + EOL + JSON.stringify(options);
+        } else if ((err + '').indexOf(' ECONNREFUSED ') >= 0) {
+            throw OpdirectNotRunning
+                + EOL + JSON.stringify(options)
+                + EOL + err;
+        } else {
+            throw err;
+        }
+    });
+}
+
+const OpdirectTimedOut = "Opdirect didn't respond within ";
+const OpdirectNotRunning = "Opdirect isn't running, it appears.";
+
+/** @return true if err was thrown by submitToOpdirect because Opdirect didn't answer. */
+function isOpdirectUnreachable(err) {
+    return ((typeof err) == 'string')
+        && (err.startsWith(OpdirectTimedOut) || err.startsWith(OpdirectNotRunning));
+}
+
+/** Submit a message via the [Transport] that's configured in server.ini.
+    @return a Promise, which will be an httpPromise from Opdirect, or null
+    if the message was delivered another way. Either way, respondFromOpdirect
+    evaluates the result.
+*/
+function submitMessage(submission, body) {
+    const type = (settings.Transport.type || '').trim().toLowerCase();
+    switch(type) {
+    case 'opdirect':
+        return submitToOpdirect(submission, body);
+    case 'outbox':
+        return submitToOutbox(submission);
+    default:
+        return Promise.reject(`[Transport] type=${settings.Transport.type} isn't supported.`);
+    }
+}
+
+/** Write a message into a file in the [Transport] folder, for another program to pick up.
+    The file contains a Subject header, an Urgent header (TRUE or FALSE),
+    a blank line and the message.
+    @return a Promise of null, after the file was written.
+*/
+function submitToOutbox(submission) {
+    const context = submission.formId ? ('/form-' + submission.formId + ' ') : '';
+    const folder = (settings.Transport.folder || '').trim();
+    const fileName = path.join(
+        folder, `${new Date().getTime()}-${myServerPort}-${submission.formId || 0}.txt`);
+    const data = 'Subject: ' + (asciifyHeader(submission.subject) || '') + EOL
+          + 'Urgent: ' + (submission.urgent ? 'TRUE' : 'FALSE') + EOL
+          + EOL
+          + toEOL(submission.form.message || '');
+    return fsp.checkFolder(folder).then(function() {
+        // Write a temporary file and then rename it,
+        // so the other program won't see a partial message.
+        return fsp.writeFileAtomic(fileName, data, {encoding: ENCODING});
+    }).then(function() {
+        log(context + 'to outbox ' + fileName);
+        return null;
+    });
+}
+
+var queuedSubmissions = 0; // the number of items in QUEUE_FOLDER that haven't been delivered
+var queueBusy = false; // retryQueue is in progress
+var queueItemInFlight = null; // the id of the item that retryQueue is submitting
+
+/* When Opdirect doesn't answer, a submission is stored in QUEUE_FOLDER
+   (one JSON file per submission) and retried later. Delivered items are
+   retained for a week, so the operator can see what happened to them.
+   An item that's still not delivered after QUEUE_MAX_AGE expires:
+   it's no longer retried automatically, and it doesn't keep the server running.
+*/
+const QUEUE_MAX_AGE = 24 * hours;
+
+function queueFileName(itemId) {
+    if (!/^[\w\-]+$/.test(itemId)) {
+        throw new Error(`${JSON.stringify(itemId)} isn't a queue item.`);
+    }
+    return path.join(QUEUE_FOLDER, itemId + '.json');
+}
+
+/** @return a Promise of the queue item that was stored. */
+function queueSubmission(submission, body, err) {
+    const now = new Date().getTime();
+    const item = {
+        id: `${now}-${myServerPort}-${submission.formId || 0}`,
+        status: 'queued',
+        created: now,
+        attempts: 1,
+        lastTry: now,
+        nextTry: now + queueRetryDelay(1),
+        lastError: errorToMessage(err),
+        formId: submission.formId,
+        addonName: submission.addonName,
+        subject: submission.subject,
+        urgent: !!submission.urgent,
+        body: body, // for Opdirect
+        logEntry: submission.logEntry, // for the ICS-309, when delivered
+    };
+    return fsp.checkFolder(QUEUE_FOLDER).then(function() {
+        return writeQueueItem(item);
+    }).then(function() {
+        ++queuedSubmissions;
+        log(`queued ${item.id} ${item.subject}`);
+        return item;
+    });
+}
+
+function writeQueueItem(item) {
+    return fsp.writeFile(
+        queueFileName(item.id), JSON.stringify(item), {encoding: ENCODING}
+    );
+}
+
+/** @return the number of milliseconds to wait after the given number of attempts. */
+function queueRetryDelay(attempts) {
+    return Math.min(30 * seconds * Math.pow(2, attempts - 1), 15 * 60 * seconds);
+}
+
+/** @return a Promise of an array of all the queue items, oldest first. */
+function readQueue() {
+    return fsp.readdir(QUEUE_FOLDER).catch(function(err) {
+        return []; // There's no folder, so there are no items.
+    }).then(function(fileNames) {
+        return Promise.all(fileNames.filter(function(fileName) {
+            return /\.json$/.test(fileName);
+        }).map(function(fileName) {
+            return fsp.readFile(
+                path.join(QUEUE_FOLDER, fileName), {encoding: ENCODING}
+            ).then(JSON.parse).catch(function(err) {
+                log.error(err);
+                log(`... in readQueue ${fileName}`);
+                return null;
+            });
+        }));
+    }).then(function(items) {
+        return items.filter(function(item) {
+            return !!item;
+        }).sort(function(x, y) {
+            return x.created - y.created;
+        });
+    });
+}
+
+function isQueuePending(item) {
+    return item.status == 'queued' || item.status == 'retrying';
+}
+
+/** Submit the items in QUEUE_FOLDER that are due to be retried.
+    Only the server that holds SERVER_LOCK_FILE does this,
+    to avoid submitting the same item twice.
+    @return a Promise that resolves after all the due items have been tried.
+*/
+function retryQueue() {
+    if (queueBusy) {
+        return Promise.resolve();
+    }
+    queueBusy = true;
+    return readServerLock().then(function(lock) {
+        if (!lock || lock.pid != process.pid) {
+            queuedSubmissions = 0; // They're not my responsibility.
+            return;
+        }
+        return readQueue().then(function(items) {
+            const now = new Date().getTime();
+            queuedSubmissions = items.filter(isQueuePending).length;
+            return items.reduce(function(chain, item) {
+                if (isQueuePending(item) && item.nextTry <= now) {
+                    return chain.then(function() {
+                        queueItemInFlight = item.id;
+                        // It might have been discarded since the queue was read:
+                        return fsp.stat(queueFileName(item.id)).then(function() {
+                            return retryQueueItem(item);
+                        }, function discarded(err) {
+                            log(`${item.id} was discarded`);
+                        });
+                    }).then(function() {
+                        queueItemInFlight = null;
+                    });
+                } else if (item.status == 'delivered'
+                           && item.delivered < now - (7 * 24 * hours)) {
+                    fsp.unlink(queueFileName(item.id)).catch(log.error);
+                }
+                return chain;
+            }, Promise.resolve());
+        });
+    }).catch(log.error).then(function() {
+        queueItemInFlight = null;
+        queueBusy = false;
+    });
+}
+
+function retryQueueItem(item) {
+    log(`retry ${item.id} ${item.subject}`);
+    item.attempts++;
+    item.lastTry = new Date().getTime();
+    return submitToOpdirect(
+        {formId: item.formId}, item.body
+    ).then(
+        respondFromOpdirect
+    ).then(function(fromOutpost) {
+        if (fromOutpost) {
+            // Outpost answered, but it didn't accept the message.
+            // Retrying won't help, without the operator's intervention.
+            item.status = 'rejected';
+            item.lastError = fromOutpost.message;
+        } else {
+            item.status = 'delivered';
+            item.delivered = new Date().getTime();
+            delete item.lastError;
+            --queuedSubmissions;
+            if (item.logEntry) {
+                appendToManualLog(item.logEntry);
+            }
+        }
+    }, function(err) {
+        item.status = (item.lastTry - item.created >= QUEUE_MAX_AGE) ? 'expired' : 'retrying';
+        item.lastError = errorToMessage(err);
+        item.nextTry = new Date().getTime() + queueRetryDelay(item.attempts);
+        if (item.status == 'expired') {
+            --queuedSubmissions;
+        }
+    }).then(function() {
+        log(`${item.id} ${item.status}`);
+        return writeQueueItem(item);
+    });
+}
+
+function queuedToHTML(item) {
+    return '<html><head><title>Queued</title></head><body>'
+        + EOL + WARNING_ICON + EOL
+        + '<h3>The message hasn\'t been submitted to Outpost yet.</h3>' + EOL
+        + encodeHTML(item.lastError).replace(/[\r\n]+/g, '<br/>' + EOL) + '<br/><br/>' + EOL
+        + 'The message was saved, and it will be submitted to Outpost automatically'
+        + ' when Opdirect responds. You can check its progress in the'
+        + ' <a href="/queue">outbound queue</a>.<br/>' + EOL
+        + '</body></html>';
+}
+
+function dateTimeFromTime(time) {
+    if (!time) return '';
+    const when = new Date(time);
+    return dateFromDate(when) + ' ' + timeFromDate(when);
+}
+
+/** Handle an HTTP GET /queue request. */
+function onGetQueue(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return readQueue().then(function(items) {
+        var rows = '';
+        items.reverse().forEach(function(item) { // newest first
+            const pending = isQueuePending(item);
+            rows += `<tr class="${item.status}">` + EOL
+                + `  <td>${dateTimeFromTime(item.created)}</td>` + EOL
+                + `  <td>${encodeHTML(item.subject || '')}</td>` + EOL
+                + `  <td>${item.status}</td>` + EOL
+                + `  <td>${item.attempts}</td>` + EOL
+                + '  <td>' + dateTimeFromTime(pending ? item.nextTry : item.delivered) + '</td>' + EOL
+                + '  <td class="error">' + encodeHTML(item.lastError || '') + '</td>' + EOL
+                + '  <td style="white-space:nowrap;">'
+                + (item.status == 'delivered' ? '' :
+                   `<form method="POST" action="/queue-retry-${item.id}">`
+                   + '<input type="submit" value="Retry"/></form>')
+                + `<form method="POST" action="/queue-discard-${item.id}"`
+                + (item.status == 'delivered' ? '' :
+                   ` onsubmit="return confirm('Discard this message without submitting it?');"`)
+                + '><input type="submit" value="Discard"/></form>'
+                + '</td>' + EOL
+                + '</tr>' + EOL;
+        });
+        return fsp.readFile(
+            path.join('bin', 'queue.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                rows: rows || '<tr><td colspan="7">The queue is empty.</td></tr>',
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP POST /queue-retry-id request. */
+function onPostQueueRetry(itemId, req, res) {
+    return Promise.resolve().then(function() {
+        return fsp.readFile(queueFileName(itemId), {encoding: ENCODING});
+    }).then(JSON.parse).then(function(item) {
+        if (item.status != 'delivered') {
+            item.status = 'retrying';
+            item.nextTry = 0; // now
+            return writeQueueItem(item);
+        }
+    }).then(function() {
+        return retryQueue();
+    }).then(function() {
+        res.redirect(SEE_OTHER, '/queue');
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err, itemId), CHARSET);
+    });
+}
+
+/** Handle an HTTP POST /queue-discard-id request. */
+function onPostQueueDiscard(itemId, req, res) {
+    return Promise.resolve().then(function() {
+        return fsp.readFile(queueFileName(itemId), {encoding: ENCODING});
+    }).then(JSON.parse).then(function(item) {
+        if (queueItemInFlight == itemId) {
+            throw 'The message is being submitted to Outpost now.'
+                + ' Please look at the queue again later.';
+        }
+        return fsp.unlink(queueFileName(itemId)).then(function() {
+            if (isQueuePending(item)) {
+                --queuedSubmissions;
+            }
+        });
+    }).then(function() {
+        log(`discarded ${itemId}`);
+        res.redirect(SEE_OTHER, '/queue');
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err, itemId), CHARSET);
+    });
+}
+
+/** @return a Promise of a description of this server and the forms it serves. */
+function serverStatus() {
+    return Promise.resolve(serverVersion).then(function(version) {
+        const now = new Date().getTime();
+        const forms = Object.keys(openForms).filter(function(formId) {
+            return openForms[formId];
+        }).map(function(formId) {
+            const form = openForms[formId];
+            const environment = form.environment || {};
+            return {
+                formId: formId,
+                subject: environment.subject || '',
+                formType: environment.ADDON_MSG_TYPE
+                    || ((form.plainText != null) ? 'plain text'
+                        : form.environment ? '' : 'page'), // for example /manual
+                status: environment.message_status || '',
+                mode: environment.mode || '',
+                quietTime: form.quietTime,
+                closesIn: Math.max(0, QUIET_LIMIT - form.quietTime),
+            };
+        });
+        return {
+            version: version,
+            pid: process.pid,
+            port: myServerPort,
+            started: serverStartTime,
+            uptime: serverStartTime ? (now - serverStartTime) : 0,
+            idleTime: serverIdleTime,
+            stopsIn: forms.length ? null : Math.max(0, SERVER_IDLE_LIMIT - serverIdleTime),
+            logFile: logFileName,
+            settingsFile: SETTINGS_FILE,
+            settingsTime: settingsUpdatedTime,
+            Transport: settings.Transport,
+            Opdirect: settings.Opdirect,
+            lastOpdirectExchange: lastOpdirectExchange,
+            queuedSubmissions: queuedSubmissions,
+            forms: forms,
+            recentErrors: recentErrors,
+        };
+    });
+}
+
+/** @return a duration like "1d 2h 3m 4s". */
+function durationText(ms) {
+    if (ms == null) return '';
+    var remainder = Math.round(ms / seconds);
+    const parts = [];
+    [['d', 24 * 60 * 60], ['h', 60 * 60], ['m', 60]].forEach(function(unit) {
+        const count = Math.floor(remainder / unit[1]);
+        remainder -= count * unit[1];
+        if (count || parts.length) {
+            parts.push(count + unit[0]);
         }
+    });
+    parts.push(remainder + 's');
+    return parts.join(' ');
+}
+
+/** Handle an HTTP GET /status.json request. */
+function onGetStatusJSON(req, res) {
+    noCache(res);
+    return serverStatus().then(function(status) {
+        res.set({'Content-Type': JSON_TYPE + '; charset=' + CHARSET});
+        res.end(JSON.stringify(status, null, 2), CHARSET);
     }).catch(function(err) {
         res.set({'Content-Type': TEXT_HTML});
-        res.end(errorToHTML(err, form && form.environment), CHARSET);
+        res.end(errorToHTML(err), CHARSET);
     });
 }
 
-function asciifyHeader(subject) {
-    return subject && subject.replace(/[\r\n]/g, ' ').replace(/[^ -~]/g, '~');
+/** Handle an HTTP GET /status request. */
+function onGetStatus(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return serverStatus().then(function(status) {
+        var forms = '';
+        status.forms.forEach(function(form) {
+            forms += '<tr>' + EOL
+                + '  <td>' + ((form.formType && form.formType.endsWith('.html'))
+                              ? `<a href="/form-${form.formId}" target="_blank">${form.formId}</a>`
+                              : form.formId) + '</td>' + EOL
+                + `  <td>${encodeHTML(form.subject)}</td>` + EOL
+                + `  <td>${encodeHTML(form.formType)}</td>` + EOL
+                + `  <td>${encodeHTML(form.status + (form.mode ? ' ' + form.mode : ''))}</td>` + EOL
+                + `  <td>${durationText(form.quietTime)}</td>` + EOL
+                + `  <td>${durationText(form.closesIn)}</td>` + EOL
+                + `  <td><form method="POST" action="/status-close-${form.formId}"`
+                + ` onsubmit="return confirm('Close form ${form.formId}?');">`
+                + '<input type="submit" value="Close"/></form></td>' + EOL
+                + '</tr>' + EOL;
+        });
+        var errors = '';
+        status.recentErrors.slice().reverse().forEach(function(error) { // newest first
+            errors += '<tr>' + EOL
+                + `  <td>${dateTimeFromTime(error.time)}</td>` + EOL
+                + `  <td class="error">${encodeHTML(error.message)}</td>` + EOL
+                + '</tr>' + EOL;
+        });
+        const exchange = status.lastOpdirectExchange;
+        return fsp.readFile(
+            path.join('bin', 'status.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                version: encodeHTML(status.version),
+                pid: '' + status.pid,
+                port: '' + status.port,
+                started: dateTimeFromTime(status.started),
+                uptime: durationText(status.uptime),
+                stopsIn: (status.stopsIn == null) ? 'not while forms are open' : durationText(status.stopsIn),
+                logFile: encodeHTML(status.logFile || ''),
+                settingsFile: encodeHTML(status.settingsFile),
+                settingsTime: status.settingsTime ? dateTimeFromTime(status.settingsTime) : 'not read',
+                Transport: encodeHTML(JSON.stringify(status.Transport)),
+                Opdirect: encodeHTML(JSON.stringify(status.Opdirect)),
+                lastOpdirectExchange: !exchange ? 'none'
+                    : encodeHTML(`${dateTimeFromTime(exchange.time)} ${exchange.subject}: `
+                                 + (exchange.problem || `OK (HTTP status ${exchange.status})`)),
+                queuedSubmissions: '' + status.queuedSubmissions,
+                forms: forms || '<tr><td colspan="7">No forms are open.</td></tr>' + EOL,
+                errors: errors || '<tr><td colspan="2">No errors.</td></tr>' + EOL,
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
 }
 
-const reservedURI = ":/?#[]@!$&'()*+,;="; // https://datatracker.ietf.org/doc/html/rfc3986#section-2.2
-function encodeWindowsURI(s) {
-    if (!s) return s;
-    var into = '';
-    for (c of encode[WINDOWS](s)) {
-        var code = c.charCodeAt(0);
-        if (code <= 0x20 || code >= 0x7f || reservedURI.indexOf(c) >= 0) {
-            into += ('%' + ('0' + code.toString(16)).slice(-2));
-        } else {
-            into += c;
+/** Handle an HTTP POST /status-close-formId request, to close a stuck form. */
+function onPostStatusClose(formId, req, res) {
+    return Promise.resolve().then(function() {
+        if (!openForms[formId]) {
+            throw `Form ${formId} isn't open.`;
         }
-    }
-    //log(`encodeWindowsURI(${s}) = ${into}`);
-    return into;
+        log(`closing /form-${formId} from the status page`);
+        closeForm(formId);
+        res.redirect(SEE_OTHER, '/status');
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
 }
 
-function messageForOpdirect(submission) {
-    if (!submission.addonName) throw 'addonName is required.\n'; 
-    // Outpost requires parameters to appear in a specific order.
-    // So don't stringify them from a single object.
-    var body = querystring.stringify({adn: submission.addonName});
-    if (submission.form.environment.MSG_INDEX) {
-        body += '&' + querystring.stringify({upd: (submission.form.environment.MSG_INDEX)});
-    }
-    if (submission.subject) {
-        body += '&' + querystring.stringify({sub: asciifyHeader(submission.subject)});
-    }
-    body += '&' + querystring.stringify({urg: submission.urgent ? 'TRUE' : 'FALSE'});
-    if (submission.form.message) {
-        body += '&' + (bodyContainsAForm(submission.form.message)
-                       ? querystring.stringify({msg: submission.form.message}) // UTF8
-                       : querystring.stringify({msg: submission.form.message}, // WINDOWS
-                                               '&', '=', {encodeURIComponent: encodeWindowsURI})
-                      );
-    }
-    return body;
-}
+const FAKE_OPDIRECT_FOLDER = path.join(LOG_FOLDER, 'fake-opdirect');
 
-/** Evaluate the response from submitting a message to Opdirect.
-    @return null if and only if the response looks successful.
+/** Pretend to be Opdirect, for testing without Outpost.
+    Listen on the host and port configured in [Opdirect], record each
+    submission in FAKE_OPDIRECT_FOLDER and respond the way Opdirect would.
+    Optional arguments change the response, to exercise respondFromOpdirect:
+    --returnCode-403 sets the OpDirectReturnCode (default 200).
+    --httpStatus-500 sets the HTTP status (default 200).
+    --delay-40000 delays the response by that many milliseconds.
+    --obsolete-true responds like an obsolete version of Outpost.
 */
-function respondFromOpdirect(exchange) {
-    if (exchange == null) return null;
-    const res = exchange.res;
-    const data = exchange.resBody || '';
-    if (data.indexOf('Your PacFORMS submission was successful!') >= 0) {
-        return {message: "That's an obsolete version of Outpost, it appears.",
-                headers: copyHeaders(res.headers),
-                body: data};
-    } else if (res.statusCode < HTTP_OK || res.statusCode >= 300) {
-        return {message: 'HTTP status ' + res.statusCode + ' ' + res.statusMessage,
-                headers: copyHeaders(res.headers),
-                body: data};
-    }
-    var returnCode = 0;
-    // Look for <meta name="OpDirectReturnCode" content="403"> in the body:
-    var matches = data.match(/<\s*meta\s+[^>]*\bname\s*=\s*"OpDirectReturnCode"[^>]*/i);
-    if (matches) {
-        matches = matches[0].match(/\s+content\s*=\s*"\s*([^"]*)\s*"/i);
-        if (matches) {
-            returnCode = parseInt(matches[1]);
-        }
-    }
-    if (returnCode < HTTP_OK || returnCode >= 300) {
-        return {message: 'OpDirectReturnCode ' + returnCode,
-                headers: copyHeaders(res.headers),
-                body: data};
-    } else {
-        return null;
-    }
+function fakeOpdirect() {
+    const options = parseArgs(argvSlice(3));
+    const returnCode = parseInt(options.returnCode || HTTP_OK);
+    const httpStatus = parseInt(options.httpStatus || HTTP_OK);
+    const delay = parseInt(options.delay || 0);
+    var count = 0;
+    return fsp.checkFolder(LOG_FOLDER).then(function() {
+        teeToFile('fake-opdirect');
+        return fsp.checkFolder(FAKE_OPDIRECT_FOLDER);
+    }).then(
+        updateSettings
+    ).then(function() {
+        const server = http.createServer(function(req, res) {
+            req.pipe(concat_stream(function(buffer) {
+                const body = buffer.toString('binary');
+                const submission = parseOpdirectBody(body);
+                const fileName = path.join(
+                    FAKE_OPDIRECT_FOLDER,
+                    `${new Date().getTime()}-${++count}.json`);
+                log(`${req.method} ${req.url} ${JSON.stringify(submission.sub)} > ${fileName}`);
+                fsp.writeFile(
+                    fileName,
+                    JSON.stringify({
+                        method: req.method,
+                        url: req.url,
+                        headers: req.headers,
+                        fields: submission,
+                        body: body,
+                    }, null, 2),
+                    {encoding: ENCODING}
+                ).catch(log.error);
+                setTimeout(function() {
+                    res.writeHead(httpStatus, {'Content-Type': TEXT_HTML});
+                    res.end(options.obsolete
+                            ? '<html><body>Your PacFORMS submission was successful!</body></html>'
+                            : ('<html><head>'
+                               + `<meta name="OpDirectReturnCode" content="${returnCode}">`
+                               + '</head><body>fake-opdirect</body></html>'),
+                            CHARSET);
+                }, delay);
+            }));
+        });
+        server.on('error', function(err) {
+            log.error(err);
+            process.exit(1);
+        });
+        const opdirect = settings.Opdirect;
+        server.listen(opdirect.port, opdirect.host, function() {
+            log(`fake-opdirect listening on ${opdirect.host}:${opdirect.port}`
+                + ` httpStatus ${httpStatus} OpDirectReturnCode ${returnCode}`
+                + (delay ? ` delay ${delay}` : '')
+                + (options.obsolete ? ' obsolete' : ''));
+        });
+    });
 }
 
-/** @return a Promise, which will be an httpPromise if all goes well,
-    or rejected if something goes wrong.
+const FAKE_AGWPE_FOLDER = path.join(LOG_FOLDER, 'fake-agwpe');
+
+/** Pretend to be a TNC that's connected to a BBS, for testing without a radio.
+    Listen on the host and port configured in [AGWPE], speaking the protocol
+    selected by its type, and record each message in FAKE_AGWPE_FOLDER.
 */
-function submitToOpdirect(submission, body) {
-    const context = submission.formId ? ('/form-' + submission.formId + ' ') : '';
-    const options = settings.Opdirect;
-    return Promise.resolve().then(function() {
-        // URL encode the 'E' in '#EOF', to prevent Outpost from treating this as a PacFORM message:
-        body = body.replace(/%23EOF/gi, function(match) {
-            // Case insensitive:
-            return '%23' + {E: '%45', e: '%65'}[match.substring(3, 1)] + match.substring(4);
+function fakeAGWPE() {
+    var count = 0;
+    return fsp.checkFolder(LOG_FOLDER).then(function() {
+        teeToFile('fake-agwpe');
+        return fsp.checkFolder(FAKE_AGWPE_FOLDER);
+    }).then(
+        updateSettings
+    ).then(function() {
+        const tnc = settings.AGWPE;
+        const server = agwpe.fakeTNC(tnc, function onMessage(message) {
+            const fileName = path.join(
+                FAKE_AGWPE_FOLDER,
+                `${new Date().getTime()}-${++count}.txt`);
+            log(`${JSON.stringify(message.split('\r')[0])} > ${fileName}`);
+            fsp.writeFile(
+                fileName, message.replace(/\r/g, EOL), {encoding: 'binary'}
+            ).catch(log.error);
         });
-        // Mark the end of the request body. This must be the last parameter:
-        body += '&' + querystring.stringify({'4VAO': '\r\n#EOF'});
-        // The #EOF value makes the request fail fast if the server is an old version of Outpost.
-        // An old server recognizes %23EOF as an end-of-message marker, decodes the body,
-        // finds there is no parameter named formtext and fails.
-        // A new server recognizes &4VAO= as the end-of-message marker.
-        // Either server ignores the HTTP Content-Length header; it just scans for the marker.
-        // Send an HTTP request.
-        log(context + 'to Outpost ' + JSON.stringify(options) + ' ' + body);
-        const exchange = httpExchange(options);
-        exchange.req.setHeader('Content-Type', 'application/x-www-form-urlencoded');
-        return httpPromise(exchange, body);
-    }).catch(function(err) {
-        if (err == 'req.timeout' || err == 'res.timeout') {
-            throw "Opdirect didn't respond within " + options.timeout + ' milliseconds.'
-                + EOL + JSON.stringify(options);
-        } else if ((err + '').indexOf(' ECONNREFUSED ') >= 0) {
-            throw "Opdirect isn't running, it appears."
-                + EOL + JSON.stringify(options)
-                + EOL + err;
-        } else {
-            throw err;
+        server.on('error', function(err) {
+            log.error(err);
+            process.exit(1);
+        });
+        server.listen(tnc.port, tnc.host, function() {
+            log(`fake-agwpe listening on ${tnc.host}:${tnc.port} type ${tnc.type || agwpe.AGWPE}`);
+        });
+    });
+}
+
+/** Parse a request body that was constructed by submitToOpdirect.
+    @return an object containing the decoded parameters.
+*/
+function parseOpdirectBody(body) {
+    const fields = {};
+    body.split('&').forEach(function(pair) {
+        const equals = pair.indexOf('=');
+        if (equals >= 0) {
+            const bytes = pair.substring(equals + 1)
+                  .replace(/\+/g, ' ')
+                  .replace(/%([0-9a-f]{2})/gi, function(found, hex) {
+                      return String.fromCharCode(parseInt(hex, 16));
+                  });
+            var value;
+            try {
+                value = utf8.decode(bytes);
+            } catch(err) { // The bytes aren't UTF-8
+                value = decode[WINDOWS](bytes);
+            }
+            fields[pair.substring(0, equals)] = value;
         }
     });
+    return fields;
 }
 
 /** Handle an HTTP GET /manual request. */
@@ -1765,7 +4540,8 @@ function onManual(res) {
     return fsp.readFile(
         templateFile, {encoding: ENCODING}
     ).then(function(template) {
-        return getAddonForms().then(function(forms) {
+        return Promise.all([getAddonForms(), listPresets()]).then(function(found) {
+            const forms = found[0];
             var form_options = forms
                 .filter(function(form) {return !!form.t;})
                 .map(function(form) {
@@ -1780,6 +4556,8 @@ function onManual(res) {
             openForms[pageId] = {quietTime: 0};
             res.end(expandVariables(template, {
                 form_options: form_options.join(''),
+                presets: JSON.stringify(found[1]).replace(/</g, '\\u003C'),
+                recoveredDrafts: recoveredDraftsNotice(),
                 pageId: pageId}));
         });
     }).catch(function(err) {
@@ -1811,7 +4589,7 @@ function findManualDataFolder() {
         log(`manualDataFolder = ${manualDataFolder}`);
         return manualDataFolder;
     }).catch(function(err) {
-        log(err);
+        log.warn(err);
         log(`... in findManualDataFolder`);
         manualDataFolder = LOG_FOLDER;
         log(`manualDataFolder = ${manualDataFolder}`);
@@ -1819,9 +4597,18 @@ function findManualDataFolder() {
     });
 }
 
-function findManualLogFile() {
+const MANUAL_LOG_ARCHIVE = 'ICS-309'; // a sub-folder of manualDataFolder, containing closed logs
+
+/** @param logId identifies a closed log. If falsy, the current log. */
+function findManualLogFile(logId) {
     return findManualDataFolder().then(function(folder) {
-        return path.join(folder, 'manual-log.json');
+        if (!logId) {
+            return path.join(folder, 'manual-log.json');
+        }
+        if (!/^[\w\-]+$/.test(logId)) {
+            throw `${JSON.stringify(logId)} isn't the name of a log.`;
+        }
+        return path.join(folder, MANUAL_LOG_ARCHIVE, logId + '.json');
     });
 }
 
@@ -1837,11 +4624,11 @@ function setManualSettings(settings) {
         findManualSettingsFile().then(function(file) {
             return fsp.writeFile(file, json, {encoding: ENCODING});
         }).catch(function(err) {
-            log(err);
+            log.error(err);
             log(`... in setManualSettings ${json}`);
         });
     } catch(err) {
-        log(err);
+        log.error(err);
         log(`... in setManualSettings ${json}`);
     }
 }
@@ -1852,7 +4639,7 @@ function getManualSettings() {
     }).then(
         JSON.parse
     ).catch(function(err) {
-        log(err);
+        log.warn(err);
         return null;
     }).then(function(settings) {
         if (settings) {
@@ -1911,7 +4698,7 @@ function getInitialManualSettings() {
         }
         return settings;
     }).catch(function(err) {
-        log(err);
+        log.warn(err);
         return settings;
     });
 }
@@ -2061,6 +4848,7 @@ function nextManualMessageNumber(settings) {
 function onManualCreate(req, res) {
     const formId = '' + nextFormId++;
     const plainText = (req.body.ADDON_MSG_TYPE == "/plainText");
+    var preset = null;
     return getManualSettings().then(function(settings) {
         const msgNumber = nextManualMessageNumber(settings);
         const environment = {
@@ -2077,6 +4865,8 @@ function onManualCreate(req, res) {
         for (var field in req.body) {
             environment[field] = req.body[field];
         }
+        preset = environment.preset;
+        delete environment.preset;
         if (plainText) {
             environment.readOnly = false;
             openForms[formId] = {
@@ -2092,7 +4882,8 @@ function onManualCreate(req, res) {
             return onOpen(formId, args);
         }
     }).then(function() {
-        res.redirect((plainText ? '/manual-message-' : '/form-') + formId);
+        res.redirect(plainText ? ('/manual-message-' + formId)
+                     : ('/form-' + formId + (preset ? '?preset=' + encodeURIComponent(preset) : '')));
     }, function openFailed(err) {
         res.set({'Content-Type': TEXT_HTML});
         res.end(errorToHTML(err, JSON.stringify(req.body)), CHARSET);
@@ -2136,7 +4927,13 @@ function onManualView(req, res) {
         return archiveManualMessage(
             settings, subjectFromEmail(parsed), input.message
         ).then(function() {
-            logManualView(settings, input, parsed); // asynchronously
+            const logged = logManualView(settings, input, parsed); // asynchronously
+            const redirect = function redirect(viewURL) {
+                const receiptId = (input.receipt == 'true')
+                      ? openReceipt(settings, input, parsed, viewURL, logged)
+                      : null;
+                res.redirect(SEE_OTHER, receiptId ? `/manual-receipt-${receiptId}` : viewURL);
+            };
             if (messageContainsAForm(parsed, input)) {
                 if (input.addon_name) {
                     // Perhaps there's extra text at the beginning of the message,
@@ -2160,7 +4957,7 @@ function onManualView(req, res) {
                     args.push('--' + name + '-' + input[name]);
                 }
                 return onOpen(formId, args).then(function() {
-                    res.redirect('/form-' + formId);
+                    redirect('/form-' + formId);
                 });
             } else { // message does not contain a form
                 openForms[formId] = {
@@ -2168,7 +4965,7 @@ function onManualView(req, res) {
                     plainText: input.message || '',
                 };
                 const pageName = pageNameFromEmail(parsed);
-                res.redirect(SEE_OTHER, `/text-${formId}/${pageName}.txt`);
+                redirect(`/text-${formId}/${pageName}.txt`);
                 // redirects to onGetPlainText
             }
         });
@@ -2178,16 +4975,90 @@ function onManualView(req, res) {
     });
 }
 
+/** Open a receipt for a message that was received in manual mode,
+    in the same format that Outpost sends and logManualView recognizes.
+    The receipt is logged in the ICS-309 after the received message.
+    @return the formId of the receipt, or null if there's nobody to send it to.
+*/
+function openReceipt(settings, input, parsed, viewURL, logged) {
+    const theirSubject = input.subject || subjectFromEmail(parsed) || '';
+    if (/^\s*DELIVERED:/i.test(theirSubject)) {
+        return null; // Don't acknowledge a receipt.
+    }
+    if (!input.MSG_FROM_LOCAL) {
+        log(`No receipt for ${theirSubject}, since it has no From address.`);
+        return null;
+    }
+    const to = asciifyHeader(input.MSG_FROM_LOCAL
+                             + (input.MSG_FROM_FQDN ? '@' + input.MSG_FROM_FQDN : ''));
+    const subject = asciifyHeader('DELIVERED: ' + theirSubject);
+    const now = new Date();
+    const when = input.MSG_DATETIME_OP_RCVD || `${dateFromDate(now)} ${timeFromDate(now)}`;
+    const myCall = asciifyHeader(settings.call || trimAddress(firstAddress(parsed.headers.to)) || '');
+    const message = [
+        `!LMI!${input.MSG_LOCAL_ID}!DR!${when}`,
+        'Your Message',
+        `To: ${myCall}`,
+        `Subject: ${asciifyHeader(theirSubject)}`,
+        `was delivered on ${when}`,
+        `${myCall} assigned Msg ID: ${input.MSG_LOCAL_ID}`,
+    ].join(EOL) + EOL;
+    const receiptId = '' + nextFormId++;
+    const receipt = {
+        quietTime: 0,
+        environment: {
+            message_status: 'manual',
+            mode: 'readonly',
+            readOnly: true,
+            subject: subject,
+            active_call_sign: myCall,
+        },
+        message: message,
+        command: `SP ${to}${EOL}${subject}${EOL}${message}/EX${EOL}`,
+        viewURL: viewURL,
+    };
+    openForms[receiptId] = receipt;
+    logged.then(function() {
+        return logManualSend(receipt, [to]);
+    });
+    return receiptId;
+}
+
+function onGetManualReceipt(formId, req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    return requireForm(formId).then(function(form) {
+        return fsp.readFile(
+            path.join('bin', 'receipt.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                command: JSON.stringify(form.command || '').replace(/</g, '\\u003C'),
+                rows: '' + ((form.command || '').split(/\r?\n/).length + 1),
+                viewURL: encodeHTML(form.viewURL || '/manual'),
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
 function onManualSubmit(formId, req, res) {
     var form = null;
     return requireForm(formId).then(function(foundForm) {
         form = foundForm;
-        form.environment.readOnly = true;
         saveMessage(form, req);
+        journalForm(formId, form);
+        return validateMessage(form.message, form.environment.ADDON_MSG_TYPE);
+    }).then(function(problems) {
+        if (problems.length) {
+            throw {invalid: problems};
+        }
+        form.environment.readOnly = true;
         res.redirect('/manual-message-' + formId);
     }).catch(function(err) {
         res.set({'Content-Type': TEXT_HTML});
-        res.end(errorToHTML(err, form && form.environment), CHARSET);
+        res.end((err && err.invalid) ? invalidToHTML(err.invalid)
+                : errorToHTML(err, form && form.environment),
+                CHARSET);
     });
 }
 
@@ -2196,7 +5067,7 @@ function onManualMessage(formId, req, res) {
     res.set({'Content-Type': TEXT_HTML});
     return requireForm(formId).then(function(foundForm) {
         form = foundForm;
-        log('onManualMessage ' + JSON.stringify(form));
+        log.debug('onManualMessage ' + JSON.stringify(form));
         const templateFile = path.join('bin', 'message.html');
         return fsp.readFile(templateFile, {encoding: ENCODING});
     }).then(function(template) {
@@ -2207,6 +5078,16 @@ function onManualMessage(formId, req, res) {
             Subject: encodeHTML(form.environment.subject || ''),
             Message: encodeHTML(form.message || ''),
             CommandURL: `/manual-command-${formId}`,
+            tncButton: settings.AGWPE.type
+                ? `&nbsp; <input type="submit" value="Send via TNC" formaction="/manual-tnc-${formId}"`
+                  + ` title="Send the message to ${encodeHTML(settings.AGWPE.bbs)} and log it."/>`
+                : '',
+            readableCheckbox: bodyContainsAForm(form.message || '')
+                ? ('<label title="Add the form\'s fields in plain text, for recipients who can\'t view the form."'
+                   + '>&nbsp;&nbsp; Plain text copy:'
+                   + ' <input id="Readable" name="readable" type="checkbox" value="true"'
+                   + ' onchange="readableChanged = true;"/></label>')
+                : '',
         }), CHARSET);
     }).catch(function(err) {
         res.end(errorToHTML(err, form && form.environment), CHARSET);
@@ -2373,7 +5254,7 @@ function logManualView(settings, input, message) {
         }
         return false;
     };
-    return readManualLog().then(function(theLog) {
+    return changeManualLog(null, function(theLog) {
         const subject = input.subject || subjectFromEmail(message) || '';
         const fields = message.fields;
         const fromNumber = fields.MsgNo || getMessageNumberFromSubject(subject) || '';
@@ -2386,6 +5267,7 @@ function logManualView(settings, input, message) {
             toCall: settings.call || trimAddress(firstAddress(message.headers.to)) || '',
             toNumber: input.MSG_LOCAL_ID || '',
             subject: trimSubject(subject, fromNumber),
+            sent: false,
         };
         theLog.messages.push(logEntry);
         var found = /^\s*DELIVERED:\s*(.*)/i.exec(subject);
@@ -2418,7 +5300,11 @@ function logManualView(settings, input, message) {
                             }
                             //log(`${myNumber} to ${message.toCall} ${theirCall} ${deliveredNumber}`);
                             if (sameButCase(myNumber, deliveredNumber)
-                                && sameCall(message.toCall, theirCall)) {
+                                && (!message.toCall || sameCall(message.toCall, theirCall))) {
+                                if (!message.toCall) {
+                                    // It was submitted to Outpost, which didn't say to whom.
+                                    message.toCall = theirCall;
+                                }
                                 message.toNumber = theirNumber;
                                 return true; // look no further
                             }
@@ -2427,43 +5313,273 @@ function logManualView(settings, input, message) {
                     });
                 }
             });
-        }
-        return findManualLogFile().then(function(logFile) {
-            return fsp.writeFile(
-                logFile, JSON.stringify(theLog), {encoding: ENCODING}
-            );
+        }
+        return theLog;
+    }).catch(log.error);
+}
+
+/* Messages that are submitted to or opened from Outpost are logged
+   in the current ICS-309, the same as messages in manual mode.
+*/
+
+/** @return an ICS-309 entry for a message submitted to Outpost. */
+function outpostSendLogEntry(form) {
+    const environment = form.environment;
+    const parsed = parseEmail({message: form.message});
+    const subject = environment.subject || subjectFromEmail(parsed) || '';
+    const fromNumber = parsed.fields.MsgNo || environment.MSG_NUMBER
+          || getMessageNumberFromSubject(subject);
+    const now = new Date();
+    return {
+        date: dateFromDate(now),
+        time: timeFromDate(now),
+        fromCall: environment.active_call_sign || environment.operator_call_sign || '',
+        fromNumber: fromNumber || '',
+        toCall: '', // The operator chooses it in Outpost, later.
+        toNumber: '',
+        subject: trimSubject(subject, fromNumber),
+        sent: true,
+        handling: handlingOrder(parsed.fields, subject),
+    };
+}
+
+/** Log a received message that was opened from Outpost. */
+function logOutpostReceived(environment, parsed) {
+    const subject = environment.subject || subjectFromEmail(parsed) || '';
+    const fromNumber = parsed.fields.MsgNo || getMessageNumberFromSubject(subject);
+    var when = new Date();
+    // For example MSG_DATETIME_OP_RCVD = "10/19/2026 14:22":
+    const received = /^\s*(\d+\/\d+\/\d+)\s+(\d+:\d+)/.exec(environment.MSG_DATETIME_OP_RCVD || '');
+    return appendToManualLog({
+        date: received ? received[1] : dateFromDate(when),
+        time: received ? received[2] : timeFromDate(when),
+        fromCall: trimAddress(parsed.headers.from || environment.MSG_FROM_LOCAL)
+            || parsed.fields.OpCall || '',
+        fromNumber: fromNumber || '',
+        toCall: environment.operator_call_sign || '',
+        toNumber: environment.MSG_LOCAL_ID || '',
+        subject: trimSubject(subject, fromNumber),
+        sent: false,
+    });
+}
+
+/** Append an entry to the current ICS-309, unless it has no message number
+    or the log already contains an entry with the same call and message numbers.
+    Don't propagate any exceptions.
+*/
+function appendToManualLog(entry) {
+    const sameAs = function sameAs(other) {
+        return ['fromCall', 'fromNumber', 'toNumber'].every(function(field) {
+            return (other[field] || '').toLowerCase() == (entry[field] || '').toLowerCase();
+        });
+    };
+    return changeManualLog(null, function(data) {
+        if (!entry.fromNumber || data.messages.some(sameAs)) {
+            return null; // Don't log it again.
+        }
+        log('appendToManualLog ' + JSON.stringify(entry));
+        data.messages.push(entry);
+        return data;
+    }).catch(log.error);
+}
+
+/** Call change after all previous changes to the ICS-309 logs are done,
+    so concurrent changes don't overwrite each other.
+    Every change to a log file should be made this way.
+    @return a Promise that settles the same as change().
+*/
+function afterManualLogChanges(change) {
+    const changed = manualLogChanged.then(change);
+    manualLogChanged = changed.catch(function() {}); // The next change proceeds anyway.
+    return changed;
+}
+var manualLogChanged = Promise.resolve();
+
+/** Read an ICS-309 log (default the current log), pass its data to change
+    and store the data that change returns (which may be a Promise).
+    If change returns a falsy value, don't store anything.
+    @return a Promise of the value returned by change.
+*/
+function changeManualLog(logId, change) {
+    return afterManualLogChanges(function() {
+        return readManualLog(logId).then(change).then(function(data) {
+            if (!data) {
+                return data;
+            }
+            return findManualLogFile(logId).then(function(logFile) {
+                return fsp.writeFile(logFile, JSON.stringify(data), {encoding: ENCODING});
+            }).then(function() {
+                return data;
+            });
+        });
+    });
+}
+
+function logManualSend(form, addresses) {
+    log('logManualSend(' + JSON.stringify(form) + ', ' + JSON.stringify(addresses) + ')');
+    return changeManualLog(null, function(data) {
+        const parsed = parseEmail(form);
+        const subject = form.environment.subject || subjectFromEmail(parsed);
+        const fromNumber = parsed.fields.MsgNo || getMessageNumberFromSubject(subject);
+        for (a in addresses) {
+            var item = {toCall: trimAddress(addresses[a])};
+            if (a > 0) {
+                item.time = '"'; // ditto
+                item.fromCall = '"';
+                item.fromNumber = '"';
+            } else {
+                var now = new Date();
+                item.date = dateFromDate(now);
+                item.time = timeFromDate(now);
+                item.fromCall = form.environment.active_call_sign;
+                item.fromNumber = fromNumber;
+                item.subject = trimSubject(subject, fromNumber);
+                item.sent = true;
+                item.handling = handlingOrder(parsed.fields, subject);
+            }
+            data.messages.push(item);
+        }
+        return data;
+    }).catch(log.error);
+}
+
+const HANDLING_ORDERS = {I: 'IMMEDIATE', P: 'PRIORITY', R: 'ROUTINE'};
+
+/** @return IMMEDIATE, PRIORITY, ROUTINE or '' (not known). */
+function handlingOrder(fields, subject) {
+    const handling = (fields['5.'] || '').trim().toUpperCase();
+    if (handling && HANDLING_ORDERS[handling.charAt(0)] == handling) {
+        return handling;
+    }
+    // For example "XYZ-123P_R_ICS213_Subject" or (trimmed) "R_ICS213_Subject":
+    const found = /^([A-Z0-9]{1,3}-\d+[A-Z]?_)?([IPR])_/i.exec(subject || '');
+    return found ? HANDLING_ORDERS[found[2].toUpperCase()] : '';
+}
+
+/** @return a Date from an ICS-309 entry's date and time, or null. */
+function dateFromLogEntry(date, time) {
+    const d = /^\s*(\d+)\/(\d+)\/(\d+)\s*$/.exec(date || '');
+    const t = /^\s*(\d\d?):?(\d\d)\s*$/.exec(time || '');
+    if (!d || !t) return null;
+    return new Date(parseInt(d[3]), parseInt(d[1]) - 1, parseInt(d[2]),
+                    parseInt(t[1]), parseInt(t[2]));
+}
+
+/** @return an array of the messages that were sent, according to the given ICS-309.
+    Each has the fields of its log entry, plus addressees (an array of {toCall, toNumber})
+    and sentTime (a Date or null). Entries logged before entries were marked sent
+    or not are assumed to be sent unless they're addressed to this station.
+*/
+function sentMessages(data, myCalls) {
+    const isMine = function isMine(call) {
+        const c = (trimAddress(call) || '').toLowerCase();
+        return !!c && myCalls.some(function(mine) {
+            return !!mine && c == mine.trim().toLowerCase();
+        });
+    };
+    const result = [];
+    var previous = null; // the last message that was sent
+    var date = null; // the date of the previous entry
+    data.messages.forEach(function(entry) {
+        if (!entry) return;
+        if (entry.time == '"' || entry.fromNumber == '"') { // ditto
+            if (previous && entry.toCall) {
+                previous.addressees.push({toCall: entry.toCall, toNumber: entry.toNumber || ''});
+            }
+            return;
+        }
+        date = entry.date || date;
+        previous = null;
+        const sent = (entry.sent != null) ? entry.sent
+              : !(isMine(entry.toCall) || /^\s*DELIVERED:/i.test(entry.subject || ''));
+        if (sent && entry.fromNumber) {
+            previous = merge(entry, {
+                handling: entry.handling || handlingOrder({}, entry.subject),
+                sentTime: dateFromLogEntry(entry.date || date, entry.time),
+                addressees: entry.toCall ? [{toCall: entry.toCall, toNumber: entry.toNumber || ''}] : [],
+            });
+            result.push(previous);
+        }
+    });
+    return result;
+}
+
+/** @return how many minutes to wait for a receipt of a message with the given handling. */
+function receiptDeadline(handling) {
+    const limits = settings.Receipts || DEFAULT_SETTINGS.Receipts;
+    const limit = limits[(handling || 'routine').toLowerCase()];
+    return (limit > 0) ? limit : DEFAULT_SETTINGS.Receipts.routine;
+}
+
+/** Handle an HTTP GET /manual-receipts request. */
+function onGetManualReceipts(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    return Promise.all([
+        readManualLog(req.query.log),
+        getManualSettings(),
+        updateSettings()
+    ]).then(function(found) {
+        const data = found[0];
+        const mySettings = found[1];
+        const now = new Date().getTime();
+        var rows = '';
+        var outstanding = 0;
+        var overdue = 0;
+        sentMessages(
+            data, [data.opCall, mySettings.opCall, mySettings.tacCall]
+        ).reverse().forEach(function(message) { // newest first
+            const waited = message.sentTime
+                  ? Math.floor((now - message.sentTime.getTime()) / minutes) : null;
+            const late = waited != null && waited > receiptDeadline(message.handling);
+            const addressees = message.addressees.length
+                  ? message.addressees : [{toCall: '', toNumber: ''}];
+            addressees.forEach(function(addressee, a) {
+                var status;
+                var clazz;
+                if (addressee.toNumber) {
+                    clazz = 'received';
+                    status = 'received as ' + encodeHTML(addressee.toNumber);
+                } else if (!addressee.toCall) {
+                    clazz = 'unknown';
+                    status = 'addressee not logged';
+                } else {
+                    ++outstanding;
+                    clazz = late ? 'overdue' : 'waiting';
+                    status = (late ? 'overdue' : 'waiting')
+                        + ((waited != null) ? ` (${waited} min)` : '');
+                    if (late) ++overdue;
+                }
+                rows += `<tr class="${clazz}">` + EOL;
+                if (a == 0) {
+                    const span = (addressees.length > 1) ? ` rowspan="${addressees.length}"` : '';
+                    rows += `  <td${span}>` + (message.sentTime
+                                               ? (dateFromDate(message.sentTime) + ' '
+                                                  + timeFromDate(message.sentTime))
+                                               : encodeHTML(message.time || '')) + '</td>' + EOL
+                        + `  <td${span}>${encodeHTML(message.fromNumber)}</td>` + EOL
+                        + `  <td${span}>${encodeHTML(message.handling || '')}</td>` + EOL
+                        + `  <td${span}>${encodeHTML(message.subject || '')}</td>` + EOL;
+                }
+                rows += `  <td>${encodeHTML(addressee.toCall || '')}</td>` + EOL
+                    + `  <td>${status}</td>` + EOL
+                    + '</tr>' + EOL;
+            });
         });
-    }).catch(log);
-}
-
-function logManualSend(form, addresses) {
-    log('logManualSend(' + JSON.stringify(form) + ', ' + JSON.stringify(addresses) + ')');
-    return readManualLog().then(function(data) {
-        const parsed = parseEmail(form);
-        const subject = form.environment.subject || subjectFromEmail(parsed);
-        const fromNumber = parsed.fields.MsgNo || getMessageNumberFromSubject(subject);
-        for (a in addresses) {
-            var item = {toCall: trimAddress(addresses[a])};
-            if (a > 0) {
-                item.time = '"'; // ditto
-                item.fromCall = '"';
-                item.fromNumber = '"';
-            } else {
-                var now = new Date();
-                item.date = dateFromDate(now);
-                item.time = timeFromDate(now);
-                item.fromCall = form.environment.active_call_sign;
-                item.fromNumber = fromNumber;
-                item.subject = trimSubject(subject, fromNumber);
-            }
-            data.messages.push(item);
-        }
-        return findManualLogFile().then(function(logFile) {
-            return fsp.writeFile(
-                logFile, JSON.stringify(data), {encoding: ENCODING}
-            );
+        return fsp.readFile(
+            path.join('bin', 'manual-receipts.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            res.end(expandVariables(template, {
+                summary: `Receipts outstanding: ${outstanding}. Overdue: ${overdue}.`,
+                limits: ['immediate', 'priority', 'routine'].map(function(handling) {
+                    return `${handling.toUpperCase()} ${receiptDeadline(handling)} minutes`;
+                }).join(', '),
+                rows: rows || '<tr><td colspan="6">No messages were sent.</td></tr>',
+            }), CHARSET);
         });
-    }).catch(log);
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
 }
 
 function isErased(fileName, backupName) {
@@ -2490,14 +5606,15 @@ function toBackupName(fileName) {
     return fileName.substring(0, split) + '-backup' + fileName.substring(split);
 }
 
-function isManualLogErased() {
-    return findManualLogFile().then(function(logName) {
+function isManualLogErased(logId) {
+    return findManualLogFile(logId).then(function(logName) {
         return isErased(logName, toBackupName(logName));
     });
 }
 
 function onGetManualEditLog(req, res) {
-    return readManualLog().then(function(data) {
+    const logId = req.query.log;
+    return readManualLog(logId).then(function(data) {
         return getManualSettings().then(function(settings) {
             manualLogFieldNames.forEach(function(field) {
                 var clazz = manualLogFieldClasses[field];
@@ -2540,7 +5657,7 @@ function onGetManualEditLog(req, res) {
         var messageRows = '';
         for (m in data.messages) {
             var message = data.messages[m];
-            messageRows += `</tr><tr class="`
+            messageRows += `<tr class="`
                 + (message == null ? "message-blank" : "message-edit")
                 + `">${EOL}`;
             manualLogMessageFieldNames.forEach(function(field) {
@@ -2569,14 +5686,31 @@ function onGetManualEditLog(req, res) {
                 + '  <td style="width:1px;">'
                 + `<button type="button" onclick="insertMessage(${m})" title="Insert a row">`
                 + '<img alt="+" src="icon-insert.png"/></button>'
-                + `</td>${EOL}`;
+                + `</td>${EOL}`
+                + `</tr>${EOL}`;
         }
         data.messages = messageRows;
-        return isManualLogErased().then(function(erased) {
+        return Promise.all([
+            isManualLogErased(logId),
+            manualLogChooser(logId)
+        ]).then(function(found) {
+            const erased = found[0];
+            data.logChooser = found[1];
             data.afterLoad = "document.getElementById('"
                 + (erased ? 'undo-button' : 'save-button')
                 + "').focus();";
             data.submitButtons = '<td style="width:1px;">'
+                + EOL + (logId
+                         ? ('  <input type="submit" name="makeCurrentButton" value="Make Current"'
+                            + ' title="Add new log entries to this log, and close the current log."/>')
+                         : ('  <input type="submit" name="closePeriodButton" value="Close Period"'
+                            + ' title="Close this log, and start a log for the next operational period."'
+                            + ` onclick="return confirm('Close this operational period and start the next one?');"/>`
+                            + EOL + '</td><td style="width:1px;">'
+                            + EOL + '  <input type="submit" name="newIncidentButton" value="New Incident"'
+                            + ' title="Close this log, and start a log for a different incident."'
+                            + ` onclick="return confirm('Close this log and start a new incident?');"/>`))
+                + EOL + '</td><td style="width:1px;">'
                 + EOL + '  <button type="button" id="undo-button" style="background-color:#ffcccc;"'
                 + EOL + '          onClick="'
                 + (erased
@@ -2590,6 +5724,8 @@ function onGetManualEditLog(req, res) {
                 + EOL + '</td><td style="width:1px;">'
                 + EOL + '  <input type="submit" name="csvButton" value="Generate CSV File"/>'
                 + EOL + '</td><td style="width:1px;">'
+                + EOL + '  <input type="submit" name="pdfButton" value="Generate PDF File"/>'
+                + EOL + '</td><td style="width:1px;">'
                 + EOL + '  <input type="submit" name="printButton" value="Print"/>'
                 + EOL + '</td><td style="width:1px;">'
                 + EOL + '  <button type="button" id="save-button" onclick="submitDamnit(\'Save\')">Save</button>'
@@ -2608,14 +5744,16 @@ function onPostManualEditLog(req, res) {
         switch(req.body && req.body.submitValue) {
         case 'EraseAll':
         case 'UndoErase':
-            return findManualLogFile().then(function(logName) {
-                const backupName = toBackupName(logName);
-                return isErased(logName, backupName).then(function(erased) {
-                    if (erased) { // Restore the entire log from the backup.
-                        return fsp.rename(backupName, logName);
-                    } else if (erased != undefined) { // Back up the entire log.
-                        return fsp.rename(logName, backupName);
-                    }
+            return afterManualLogChanges(function() {
+                return findManualLogFile(req.query.log).then(function(logName) {
+                    const backupName = toBackupName(logName);
+                    return isErased(logName, backupName).then(function(erased) {
+                        if (erased) { // Restore the entire log from the backup.
+                            return fsp.rename(backupName, logName);
+                        } else if (erased != undefined) { // Back up the entire log.
+                            return fsp.rename(logName, backupName);
+                        }
+                    });
                 });
             }).then(function() {
                 res.redirect(SEE_OTHER, req.headers.referer);
@@ -2640,7 +5778,8 @@ function updateManualLog(req, res) {
         }
         return !empty;
     }
-    return readManualLog().then(function(data) {
+    const logId = req.query.log;
+    return changeManualLog(logId, function(data) {
         if (req.body.deleteIndex) {
             data.messages.splice(parseInt(req.body.deleteIndex), 1);
             return data;
@@ -2677,16 +5816,25 @@ function updateManualLog(req, res) {
         }
         return data;
     }).then(function(data) {
-        const newData = JSON.stringify(data);
-        log(`onPostManualEditLog data ${newData}`);
-        return findManualLogFile().then(function(logFile) {
-            return fsp.writeFile(logFile, newData, {encoding: ENCODING});
-        });
-    }).then(function() {
-        if (req.body.printButton) {
-            res.redirect(SEE_OTHER, '/manual-log' + (req.body.withSignature ? '?withSignature=true' : ''));
+        log(`onPostManualEditLog data ${JSON.stringify(data)}`);
+        const query = {};
+        if (logId) query.log = logId;
+        if (req.body.withSignature) query.withSignature = 'true';
+        const search = logId || req.body.withSignature ? ('?' + querystring.stringify(query)) : '';
+        if (req.body.closePeriodButton || req.body.newIncidentButton) {
+            return closeManualLog(!!req.body.newIncidentButton).then(function() {
+                res.redirect(SEE_OTHER, '/manual-edit-log');
+            });
+        } else if (req.body.makeCurrentButton) {
+            return makeManualLogCurrent(logId).then(function() {
+                res.redirect(SEE_OTHER, '/manual-edit-log');
+            });
+        } else if (req.body.printButton) {
+            res.redirect(SEE_OTHER, '/manual-log' + search);
+        } else if (req.body.pdfButton) {
+            res.redirect(SEE_OTHER, '/ICS-309.pdf' + search);
         } else if (req.body.csvButton) {
-            res.redirect(SEE_OTHER, '/ICS-309.csv');
+            res.redirect(SEE_OTHER, '/ICS-309.csv' + (logId ? ('?log=' + encodeURIComponent(logId)) : ''));
         } else if (req.body.submitValue == 'Save') {
             sendWindowClose(res);
         } else {
@@ -2706,7 +5854,7 @@ function onGoBack(req, res) {
 }
 
 function onGetManualLog(req, res) {
-    return readManualLog().then(function(data) {
+    return readManualLog(req.query.log).then(function(data) {
         log(`onGetManualLog data ${JSON.stringify(data)}`);
         data.radioOperator = encodeHTML((data.opName || '') + ', ' + (data.opCall || ''));
         data.preparedBy = encodeHTML((data.preparerName || '') + ', ' + (data.preparerCall || ''));
@@ -2726,7 +5874,7 @@ function onGetManualLog(req, res) {
         var messageRows = '';
         data.messages.forEach(function(message) {
             var firstRow = !messageRows;
-            messageRows += `</tr><tr class="message-data">${EOL}`;
+            messageRows += `<tr class="message-data">${EOL}`;
             manualLogMessageFieldNames.forEach(function(field) {
                 var attrs = '';
                 if (field == 'subject') {
@@ -2740,9 +5888,11 @@ function onGetManualLog(req, res) {
                     + (message[field] ? encodeHTML(message[field]) : '&nbsp;')
                     + `</td>${EOL}`;
             });
+            messageRows += `</tr>${EOL}`;
         });
         data.messages = messageRows;
-        data.afterLoad = 'window.print();';
+        data.afterLoad = req.query.pdf ? '' : 'window.print();';
+        data.logChooser = '';
         data.submitButtons = '';
         return sendManualLog(res, data);
     }).catch(function(err) {
@@ -2751,8 +5901,52 @@ function onGetManualLog(req, res) {
     });
 }
 
-function onGetManualCSV(res) {
-    return readManualLog().then(function(data) {
+/** Handle an HTTP GET /ICS-309.pdf request,
+    by rendering /manual-log with WebToPDF.
+    WebToPDF adds "Page N of M" to the footer of each page,
+    and Chromium repeats the table header (the header block) on each page.
+*/
+function onGetManualPDF(req, res) {
+    var fileName = null;
+    return promiseTempFile({
+        dir: LOG_FOLDER,
+        prefix: 'T', postfix: '.pdf',
+        keep: true, discardDescriptor: true
+    }).then(function(tempFile) {
+        fileName = tempFile.name;
+        const query = {pdf: 'true'};
+        if (req.query.log) query.log = req.query.log;
+        if (req.query.withSignature) query.withSignature = 'true';
+        const pageURL = `http://${LOCALHOST}:${myServerPort}/manual-log?` + querystring.stringify(query);
+        const args = ['bin', pageURL, 'ICS-309', fileName, ''];
+        log(`${WEB_TO_PDF} "` + args.join('" "') + '"')
+        return promiseSpawn(WEB_TO_PDF, args, {stdio: ['ignore', 'pipe', 'pipe']});
+    }).then(function() {
+        return fsp.stat(fileName);
+    }).then(function(stats) {
+        if (!stats.size) {
+            throw `${WEB_TO_PDF} didn't create a PDF file.`;
+        }
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': 'inline; filename="ICS-309.pdf"'
+        });
+        noCache(res);
+        res.sendFile(path.resolve(fileName), function(err) {
+            if (err) log.error(err);
+            fsp.unlink(fileName).catch(log.error);
+        });
+    }).catch(function(err) {
+        if (fileName) {
+            fsp.unlink(fileName).catch(log.error);
+        }
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+function onGetManualCSV(req, res) {
+    return readManualLog(req.query.log).then(function(data) {
         log(`onGetManualCSV data ${data}`);
         if (data.opCall) {
             data.opName = (data.opName ? data.opName + ', ' : '') + data.opCall;
@@ -2788,13 +5982,54 @@ function onGetManualCSV(res) {
 }
 
 function enquoteCSV(value) {
-    if (value && /[,"]/.test(value)) {
+    if (value && /[,"\r\n]/.test(value)) {
         return '"' + value.replace(/"/g, '""') + '"';
     } else {
         return value || '';
     }
 }
 
+/** @return an array of rows, each an array of the values in one line of CSV text. */
+function parseCSV(text) {
+    const rows = [];
+    var row = [];
+    var value = '';
+    var quoted = false;
+    for (var i = 0; i < text.length; ++i) {
+        const c = text.charAt(i);
+        if (quoted) {
+            if (c != '"') {
+                value += c;
+            } else if (text.charAt(i + 1) == '"') {
+                value += c;
+                ++i;
+            } else {
+                quoted = false;
+            }
+        } else if (c == '"') {
+            quoted = true;
+        } else if (c == ',') {
+            row.push(value);
+            value = '';
+        } else if (c == '\r' || c == '\n') {
+            if (c == '\r' && text.charAt(i + 1) == '\n') ++i;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += c;
+        }
+    }
+    if (value || row.length) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(function(row) {
+        return row.some(function(value) {return !!value;});
+    });
+}
+
 function sendManualLog(res, data) {
     res.set({'Content-Type': TEXT_HTML});
     return fsp.readFile(
@@ -2804,8 +6039,8 @@ function sendManualLog(res, data) {
     });
 }
 
-function readManualLog() {
-    return findManualLogFile().then(function(logFile) {
+function readManualLog(logId) {
+    return findManualLogFile(logId).then(function(logFile) {
         return fsp.readFile(logFile, {encoding: ENCODING});
     }).then(function(data) {
         var theLog = JSON.parse(data);
@@ -2814,47 +6049,200 @@ function readManualLog() {
         }
         return theLog;
     }, function readFailed(err) {
-        log(err);
+        if (logId) {
+            throw err; // A closed log should exist.
+        }
+        log.warn(err);
         return {messages: []}; // an empty log
     });
 }
 
+/** @return a Promise of an array of the headers of all the closed logs, newest first. */
+function listManualLogs() {
+    return findManualDataFolder().then(function(folder) {
+        const archive = path.join(folder, MANUAL_LOG_ARCHIVE);
+        return fsp.readdir(archive).catch(function(err) {
+            return []; // no closed logs
+        }).then(function(fileNames) {
+            return Promise.all(fileNames.filter(function(fileName) {
+                return /^[\w\-]+\.json$/.test(fileName);
+            }).map(function(fileName) {
+                const logFile = path.join(archive, fileName);
+                return Promise.all([
+                    fsp.readFile(logFile, {encoding: ENCODING}).then(JSON.parse),
+                    fsp.stat(logFile)
+                ]).then(function(found) {
+                    const header = {id: fileName.replace(/\.json$/, ''), time: found[1].mtime.getTime()};
+                    manualLogFieldNames.forEach(function(field) {
+                        header[field] = found[0][field];
+                    });
+                    return header;
+                }, function(err) {
+                    log.warn(err);
+                    return null;
+                });
+            }));
+        });
+    }).then(function(headers) {
+        return headers.filter(function(header) {
+            return !!header;
+        }).sort(function(x, y) {
+            return y.time - x.time;
+        });
+    });
+}
+
+function describeManualLog(header) {
+    const period = [header.fromDate, header.fromTime].join(' ').trim()
+          + ' to ' + [header.toDate, header.toTime].join(' ').trim();
+    return [header.incidentName, header.activationNumber].join(' ').trim()
+        + ' (' + period.trim() + ')';
+}
+
+/** @return a Promise of HTML for choosing which log to edit. */
+function manualLogChooser(logId) {
+    return listManualLogs().then(function(headers) {
+        if (!headers.length) {
+            return '';
+        }
+        return '<div style="margin-bottom:1em;">' + EOL
+            + '  <label>Log: <select onchange="window.location = \'/manual-edit-log\''
+            + ' + (this.value ? (\'?log=\' + this.value) : \'\');">' + EOL
+            + '    <option value="">Current</option>' + EOL
+            + headers.map(function(header) {
+                return `    <option value="${header.id}"`
+                    + (header.id == logId ? ' selected' : '')
+                    + '>' + encodeHTML(describeManualLog(header)) + '</option>' + EOL;
+            }).join('')
+            + '  </select></label>' + EOL
+            + '</div>';
+    });
+}
+
+/** Store the given log in MANUAL_LOG_ARCHIVE.
+    @return a Promise of the new log's id.
+*/
+function archiveManualLog(data) {
+    const baseId = [data.incidentName, data.activationNumber, data.fromDate, data.fromTime]
+          .filter(function(value) {return !!value;})
+          .join('-')
+          .replace(/[^\w\-]+/g, '-')
+          .replace(/^-+|-+$/g, '')
+          .substring(0, 60) || 'log';
+    var suffix = 1;
+    var attempt = function attempt(logId) {
+        return findManualLogFile(logId).then(function(logFile) {
+            return fsp.stat(logFile).then(function fileExists(stats) {
+                // That file exists. Try again with a uniquified name:
+                return attempt(baseId + '-' + (++suffix));
+            }, function createFile(err) {
+                return fsp.checkFolder(path.dirname(logFile)).then(function() {
+                    return fsp.writeFile(logFile, JSON.stringify(data), {encoding: ENCODING});
+                }).then(function() {
+                    log(`archived log ${logId}`);
+                    return logId;
+                });
+            });
+        });
+    };
+    return attempt(baseId);
+}
+
+/** Close the current log, and start another one.
+    @param newIncident false to start the next operational period of the same incident.
+*/
+function closeManualLog(newIncident) {
+    return changeManualLog(null, function(data) {
+        const now = new Date();
+        if (!data.toDate) data.toDate = dateFromDate(now);
+        if (!data.toTime) data.toTime = timeFromDate(now);
+        return archiveManualLog(data).then(function() {
+            const next = {messages: []};
+            (newIncident
+             ? ['netName', 'opName', 'opCall', 'preparerName', 'preparerCall']
+             : ['incidentName', 'activationNumber', 'netName', 'opName', 'opCall', 'preparerName', 'preparerCall']
+            ).forEach(function(field) {
+                next[field] = data[field];
+            });
+            if (!newIncident) {
+                next.fromDate = data.toDate;
+                next.fromTime = data.toTime;
+            }
+            return next;
+        });
+    });
+}
+
+/** Replace the current log with a closed log, and close the current log. */
+function makeManualLogCurrent(logId) {
+    return afterManualLogChanges(function() {
+        return Promise.all([
+            readManualLog(),
+            findManualLogFile(logId),
+            findManualLogFile()
+        ]).then(function(found) {
+            const current = found[0];
+            return ((current.messages.length || current.incidentName)
+                    ? archiveManualLog(current)
+                    : Promise.resolve()
+                   ).then(function() {
+                       return fsp.rename(found[1], found[2]);
+                   });
+        });
+    });
+}
+
+/** Construct the BBS command to send a manual message, from the fields in body.
+    Set form.command, form.message and form.environment.subject.
+    @return a Promise of {subject, addresses}.
+*/
+function manualCommand(form, body) {
+    const urgent = (body.urgent == "true");
+    const bulletin = (body.bulletin == "true");
+    const message = body.message || '';
+    const suffix = (message.endsWith('\n') ? '' : EOL) + `/EX${EOL}`;
+    const addresses = [];
+    (body.to || '').split(/[,;]/).forEach(function(item) {
+        var address = item.trim();
+        if (address) {
+            addresses.push(asciifyHeader(address));
+        }
+    });
+    var prefix = '';
+    switch(addresses.length) {
+    case 0:
+    case 1:
+        prefix = (bulletin ? 'SB ' : 'SP ') + (addresses[0] || '<address>');
+        break;
+    default:
+        prefix = 'SC ' + addresses[0] + EOL + addresses.slice(1).join(',');
+        break;
+    }
+    const subject = asciifyHeader(body.subject);
+    prefix += `${EOL}${subject}${EOL}` + (urgent ? '!URG!' : '');
+    form.environment.subject = subject;
+    form.message = message;
+    return ((body.readable == 'true' && bodyContainsAForm(message))
+            ? readableTrailer(message, subject) : Promise.resolve('')
+    ).then(function(trailer) {
+        form.command = prefix + message + trailer + suffix;
+        return {subject: subject, addresses: addresses};
+    });
+}
+
 function onPostManualCommand(formId, req, res) {
     return requireForm(formId).then(function(form) {
         log('onPostManualCommand ' + JSON.stringify(req.body));
-        const urgent = (req.body.urgent == "true");
-        const bulletin = (req.body.bulletin == "true");
-        const message = req.body.message || '';
-        const suffix = (message.endsWith('\n') ? '' : EOL) + `/EX${EOL}`;
-        const addresses = [];
-        req.body.to.split(/[,;]/).forEach(function(item) {
-            var address = item.trim();
-            if (address) {
-                addresses.push(asciifyHeader(address));
-            }
-        });
-        var prefix = '';
-        switch(addresses.length) {
-        case 0:
-        case 1:
-            prefix = (bulletin ? 'SB ' : 'SP ') + (addresses[0] || '<address>');
-            break;
-        default:
-            prefix = 'SC ' + addresses[0] + EOL + addresses.slice(1).join(',');
-            break;
-        }
-        const subject = asciifyHeader(req.body.subject);
-        prefix += `${EOL}${subject}${EOL}` + (urgent ? '!URG!' : '');
-        form.environment.subject = subject;
-        form.message = message;
-        form.command = prefix + message + suffix;
-        return getManualSettings().then(function(settings) {
-            return archiveManualMessage(settings, subject, form.command);
-        }).then(function() {
-            logManualSend(form, addresses);
-            res.redirect(SEE_OTHER, `/manual-command-${formId}/`
-                         + encodeURIComponent(toFileName(subject))
-                         + '.txt'); // redirects to onGetManualCommand
+        return manualCommand(form, req.body).then(function(command) {
+            return getManualSettings().then(function(settings) {
+                return archiveManualMessage(settings, command.subject, form.command);
+            }).then(function() {
+                logManualSend(form, command.addresses);
+                recordRevision(form, 'submitted');
+                res.redirect(SEE_OTHER, `/manual-command-${formId}/`
+                             + encodeURIComponent(toFileName(command.subject))
+                             + '.txt'); // redirects to onGetManualCommand
+            });
         });
     }).catch(function(err) {
         res.set({'Content-Type': TEXT_HTML});
@@ -2862,6 +6250,90 @@ function onPostManualCommand(formId, req, res) {
     });
 }
 
+/** Send a manual message to the BBS via the TNC configured in [AGWPE],
+    instead of showing the command for the operator to copy into a terminal.
+*/
+function onPostManualTNC(formId, req, res) {
+    var form = null;
+    var command = null;
+    var manualSettings = null;
+    var encoding = null;
+    res.set({'Content-Type': TEXT_HTML});
+    return requireForm(formId).then(function(foundForm) {
+        form = foundForm;
+        log('onPostManualTNC ' + JSON.stringify(req.body));
+        return Promise.all([
+            manualCommand(form, req.body),
+            getManualSettings(),
+            updateSettings(),
+        ]);
+    }).then(function(found) {
+        command = found[0];
+        manualSettings = found[1];
+        const tnc = settings.AGWPE;
+        if (!tnc.type) {
+            throw 'There is no TNC. Set type in the [AGWPE] section of bin/server.ini.';
+        }
+        if (!tnc.bbs) {
+            throw 'There is no BBS. Set bbs in the [AGWPE] section of bin/server.ini.';
+        }
+        if (form.message.search(embeddedEX) >= 0) {
+            throw 'The message contains /EX on a line by itself (the end-of-message marker).';
+        }
+        // A form is sent in UTF-8, the same as when its command is pasted into a terminal.
+        encoding = bodyContainsAForm(form.message) ? UTF8 : manualSettings.encoding;
+        if (encoding != UTF8 && notPastable(encoding, form.command)) {
+            throw `The message contains characters that ${encoding} can't represent.`;
+        }
+        return agwpe.sendToBBS({
+            type: tnc.type,
+            host: tnc.host,
+            port: tnc.port,
+            channel: tnc.channel,
+            // A tactical call isn't valid as the AX.25 source address.
+            myCall: (tnc.call || manualSettings.opCall || '').trim().toUpperCase(),
+            bbsCall: tnc.bbs.trim().toUpperCase(),
+            timeout: tnc.timeout,
+        }, encode[encoding](form.command.replace(/\r?\n/g, '\r')));
+    }).then(function(sent) {
+        // The message was sent, so log it even if the BBS didn't confirm it,
+        // to discourage sending a duplicate.
+        const decodeTNC = decode[encoding];
+        const reply = decodeTNC(sent.reply).replace(/\r\n?/g, EOL);
+        const bbs = encodeHTML(settings.AGWPE.bbs);
+        var result = `${bbs} accepted the message as number ${encodeHTML(sent.messageNumber || 'unknown')}.`;
+        if (sent.accepted) {
+            log(`sent ${JSON.stringify(command.subject)} via TNC; BBS replied ${JSON.stringify(reply)}`);
+        } else {
+            log.warn(`sent ${JSON.stringify(command.subject)} via TNC, unconfirmed: `
+                     + JSON.stringify(sent.problem || reply));
+            result = '<b style="color:#c00000;">It\'s not confirmed that'
+                + ` ${bbs} accepted the message</b>, since `
+                + (sent.problem
+                   ? encodeHTML(sent.problem)
+                   : `its reply doesn't say so: ${encodeHTML(reply.trim())}`)
+                + '<br/>' + EOL
+                + 'Please check the BBS before you send the message again.';
+        }
+        return archiveManualMessage(
+            manualSettings, command.subject, form.command
+        ).then(function() {
+            logManualSend(form, command.addresses);
+            recordRevision(form, 'submitted');
+            return fsp.readFile(path.join('bin', 'tnc.html'), {encoding: ENCODING});
+        }).then(function(template) {
+            res.end(expandVariables(template, {
+                subject: encodeHTML(command.subject),
+                result: result,
+                transcript: encodeHTML(decodeTNC(sent.transcript).replace(/\r\n?/g, EOL)),
+                messageURL: `/manual-message-${formId}`,
+            }), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
 function bytesToHex(from) {
     var into = '';
     for (var f = 0; f < from.length; ++f) {
@@ -2883,7 +6355,7 @@ function highlight(charSet, from) {
 
 function notPastableProblem(encoding, from, bad) {
     var badSet = {};
-    for (var c of decode[WINDOWS](bad)) {
+    for (var c of bad) {
         badSet[c] = true;
     }
     const badChars = Object.keys(badSet);
@@ -2904,9 +6376,15 @@ function notPastable(encoding, from) {
     const winBytes = encode[WINDOWS](from);
     var bad = findBadBytes[WINDOWS](winBytes);
     if (bad) {
-        return notPastableProblem(WINDOWS, from, bad);
+        return notPastableProblem(WINDOWS, from, decode[WINDOWS](bad));
     } else if (encoding != WINDOWS) {
-        bad = findBadBytes[encoding](winBytes);
+        // Encodings differ in which characters they can represent, so check each one:
+        bad = '';
+        for (var c of from) {
+            if (bad.indexOf(c) < 0 && findBadBytes[encoding](encode[encoding](c))) {
+                bad += c;
+            }
+        }
         if (bad) {
             return notPastableProblem(encoding, from, bad);
         }
@@ -3046,6 +6524,15 @@ function outputSubjects(argv) {
     }
 }
 
+/** The inverse of unbracket_data. */
+function bracket_data(data) {
+    var escaped = data.replace(/]/g, '`]');
+    if (escaped.endsWith('`')) {
+        escaped += ']]'; // so the closing bracket isn't escaped
+    }
+    return '[' + escaped + ']';
+}
+
 function unbracket_data(data) {
     var match = /]\s*$/.exec(data);
     if (match) {
@@ -3276,7 +6763,11 @@ function getAddonForms() {
 
 function errorToHTML(err, state) {
     const errMessage = errorToMessage(err);
-    log('Error: ' + errMessage + (state ? JSON.stringify(state) : ''));
+    log.error(errMessage + (state ? JSON.stringify(state) : ''));
+    recentErrors.push({time: new Date().getTime(), message: errMessage});
+    if (recentErrors.length > RECENT_ERRORS_LIMIT) {
+        recentErrors.splice(0, recentErrors.length - RECENT_ERRORS_LIMIT);
+    }
     var message = 'This information might help resolve the problem:<br/><br/>' + EOL
         + encodeHTML(errMessage).replace(/\r?\n/g, '<br/>' + EOL) + '<br/>' + EOL;
     if (state) {
@@ -3313,13 +6804,278 @@ function deleteOldFiles(directoryName, fileNamePattern, ageLimitMs) {
                 });
             })
         );
-    }).catch(log);
+    }).catch(log.error);
+}
+
+/* The names of log files are like 2021-03-14-server-12345.log,
+   where server-12345 is the suffix passed to logFilesWriter.
+   When a file reaches the [Log] maxSize, it's continued in
+   2021-03-14-server-12345.1.log, .2.log and so on.
+   An expired file is compressed into a .gz file if [Log] gzip=true.
+*/
+const LOG_FILE_NAME = /^(\d{4}-\d\d-\d\d)-(.+?)(\.\d+)?\.(log|jsonl)(\.gz)?$/;
+
+/** @return the name of the [Log] setting that says how many days
+    to keep log files whose names contain the given suffix.
+*/
+function logRetentionSetting(fileNameSuffix) {
+    const verb = fileNameSuffix.replace(/-\d+$/, '');
+    return (verb == 'server') ? 'serverDays'
+        : (verb == 'convert' || verb == 'convert-folder') ? 'convertDays'
+        : 'openDays';
+}
+
+/** Delete or compress the log files that are older than the [Log] settings permit.
+    Only the server that holds SERVER_LOCK_FILE does this, so no two processes
+    compress the same file at the same time.
+*/
+function expireLogFiles() {
+    return readServerLock().then(function(lock) {
+        if (!lock || lock.pid != process.pid) {
+            return []; // Leave it to the server.
+        }
+        return fsp.readdir(LOG_FOLDER);
+    }).then(function(fileNames) {
+        const now = (new Date()).getTime();
+        return Promise.all(fileNames.map(function(fileName) {
+            const found = LOG_FILE_NAME.exec(fileName);
+            if (/\.(log|jsonl)\.gz$/.test(fileName)) {
+                const days = settings.Log.gzipDays;
+                if (!(days > 0)) {
+                    return; // keep it forever
+                }
+                const fullName = path.join(LOG_FOLDER, fileName);
+                const deleteIt = function deleteIt() {
+                    return fsp.unlink(fullName).then(function() {
+                        log("Deleted " + fullName);
+                    });
+                };
+                if (found) {
+                    // Count the days from the date when the log was written.
+                    if (new Date(found[1]).getTime() < now - ((days + 1) * 24 * hours)) {
+                        return deleteIt().catch(log.error);
+                    }
+                    return;
+                }
+                // The name has no date, so count the days since it was compressed.
+                return fsp.stat(fullName).then(function(stats) {
+                    if (stats.isFile() && stats.mtime.getTime() < now - (days * 24 * hours)) {
+                        return deleteIt();
+                    }
+                }).catch(log.error);
+            }
+            if (!found && !/\.(log|jsonl)$/.test(fileName)) {
+                return; // not a log file
+            }
+            const days = settings.Log[logRetentionSetting(found ? found[2] : '')];
+            if (!(days > 0)) {
+                return; // keep it forever
+            }
+            const fullName = path.join(LOG_FOLDER, fileName);
+            return fsp.stat(fullName).then(function(stats) {
+                if (stats.isFile() && stats.mtime.getTime() < now - (days * 24 * hours)) {
+                    return (settings.Log.gzip ? gzipFile(fullName) : fsp.unlink(fullName))
+                        .then(function() {
+                            log((settings.Log.gzip ? "Compressed " : "Deleted ") + fullName);
+                        });
+                }
+            }).catch(log.error);
+        }));
+    }).catch(log.error);
+}
+
+/** Compress a file into fileName.gz, and then delete the original.
+    The .gz file appears only when it's complete.
+*/
+function gzipFile(fileName) {
+    const tempName = fileName + '.gz.tmp';
+    return new Promise(function gzipFile(resolve, reject) {
+        const output = fs.createWriteStream(tempName);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        fs.createReadStream(fileName)
+            .on('error', reject)
+            .pipe(zlib.createGzip())
+            .pipe(output);
+    }).then(function() {
+        return fsp.rename(tempName, fileName + '.gz');
+    }).then(function() {
+        return fsp.unlink(fileName);
+    });
+}
+
+/* The /logs page shows entries from the log files in LOG_FOLDER,
+   filtered by level, verb, form id and time. An entry is a line that
+   starts with a time stamp (formatted by utilities.log), plus any
+   following lines that don't.
+*/
+const LOG_ENTRY_START = /^\[(\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d(\.\d+)?Z)\] (?:(DEBUG|WARN|ERROR) )?/;
+const LOG_ENTRIES_LIMIT = 2000; // the most entries shown on one page
+
+/** @return a filter from the query parameters of a /logs request. */
+function logFilter(query) {
+    const toTime = function toTime(value) {
+        const time = value ? new Date(value).getTime() : NaN;
+        return isNaN(time) ? null : time;
+    };
+    return {
+        level: Math.max(0, LOG_LEVELS.indexOf(query.level || '')),
+        verb: (query.verb || '').trim(),
+        formId: (query.formId || '').trim(),
+        from: toTime(query.from),
+        to: toTime(query.to),
+    };
+}
+
+/** @return a Promise of the latest log entries that pass the filter, oldest first.
+    Files are read a day at a time, newest first, until there are enough entries.
+*/
+function readLogEntries(filter) {
+    const dayOf = function dayOf(time) {
+        return new Date(time).toISOString().substring(0, 10);
+    };
+    const passes = function passes(entry) {
+        entry.message = entry.message.replace(/\s+$/, '');
+        entry.formId = formIdInLogMessage(entry.message);
+        return LOG_LEVELS.indexOf(entry.level) >= filter.level
+            && (!filter.formId || entry.formId == filter.formId)
+            && (filter.from == null || entry.time >= filter.from)
+            && (filter.to == null || entry.time <= filter.to);
+    };
+    const readLogFile = function readLogFile(file) {
+        return fsp.readFile(path.join(LOG_FOLDER, file.name)).then(function(data) {
+            if (!/\.gz$/.test(file.name)) {
+                return data;
+            }
+            return new Promise(function(resolve, reject) {
+                zlib.gunzip(data, function(err, unzipped) {
+                    if (err) reject(err);
+                    else resolve(unzipped);
+                });
+            });
+        }).then(function(data) {
+            data = data.toString(ENCODING);
+            const entries = [];
+            var entry = null;
+            data.split(/\r?\n/).forEach(function(line) {
+                const found = LOG_ENTRY_START.exec(line);
+                if (found) {
+                    entry = {
+                        time: new Date(found[1]).getTime(),
+                        level: (found[3] || 'info').toLowerCase(),
+                        verb: file.verb,
+                        file: file.name,
+                        message: line.substring(found[0].length),
+                    };
+                    entries.push(entry);
+                } else if (entry) {
+                    entry.message += EOL + line;
+                }
+            });
+            return entries.filter(passes);
+        }, function(err) {
+            log.warn(err);
+            return [];
+        });
+    };
+    return fsp.readdir(LOG_FOLDER).then(function(fileNames) {
+        const days = {}; // day: array of files
+        fileNames.forEach(function(fileName) {
+            const found = LOG_FILE_NAME.exec(fileName);
+            const file = found && found[4] == 'log' && {
+                name: fileName,
+                day: found[1],
+                verb: found[2].replace(/-\d+$/, ''), // for example server-12345
+            };
+            if (file
+                && (!filter.verb || file.verb == filter.verb)
+                && (filter.from == null || file.day >= dayOf(filter.from))
+                && (filter.to == null || file.day <= dayOf(filter.to))) {
+                (days[file.day] = days[file.day] || []).push(file);
+            }
+        });
+        const dayNames = Object.keys(days).sort().reverse(); // newest first
+        var entries = [];
+        const readDay = function readDay(d) {
+            if (d >= dayNames.length || entries.length >= LOG_ENTRIES_LIMIT) {
+                return entries;
+            }
+            return Promise.all(days[dayNames[d]].map(readLogFile)).then(function(found) {
+                entries = entries.concat.apply(entries, found);
+                return readDay(d + 1);
+            });
+        };
+        return readDay(0);
+    }).then(function(entries) {
+        entries.sort(function(a, b) {
+            return a.time - b.time;
+        });
+        return entries.slice(Math.max(0, entries.length - LOG_ENTRIES_LIMIT));
+    });
+}
+
+/** Handle an HTTP GET /logs request. */
+function onGetLogs(req, res) {
+    res.set({'Content-Type': TEXT_HTML});
+    noCache(res);
+    const query = req.query || {};
+    return readLogEntries(logFilter(query)).then(function(entries) {
+        var rows = '';
+        entries.forEach(function(entry) {
+            rows += `<tr class="${entry.level}">` + EOL
+                + `  <td>${dateTimeFromTime(entry.time)}:${padStart(new Date(entry.time).getSeconds(), 2, '0')}</td>` + EOL
+                + `  <td>${entry.level}</td>` + EOL
+                + `  <td title="${encodeHTML(entry.file)}">${encodeHTML(entry.verb)}</td>` + EOL
+                + `  <td>${entry.formId || ''}</td>` + EOL
+                + `  <td class="message">${encodeHTML(entry.message)}</td>` + EOL
+                + '</tr>' + EOL;
+        });
+        return fsp.readFile(
+            path.join('bin', 'logs.html'), {encoding: ENCODING}
+        ).then(function(template) {
+            const values = {
+                levelOptions: LOG_LEVELS.map(function(level) {
+                    return `<option value="${level}"`
+                        + ((query.level == level) ? ' selected' : '')
+                        + `>${level}</option>`;
+                }).join(''),
+                textURL: '/logs.txt?' + querystring.stringify(query),
+                limit: '' + LOG_ENTRIES_LIMIT,
+                rows: rows || '<tr><td colspan="5">No log entries match.</td></tr>' + EOL,
+            };
+            ['verb', 'formId', 'from', 'to'].forEach(function(name) {
+                values[name] = encodeHTML(query[name] || '');
+            });
+            res.end(expandVariables(template, values), CHARSET);
+        });
+    }).catch(function(err) {
+        res.end(errorToHTML(err), CHARSET);
+    });
+}
+
+/** Handle an HTTP GET /logs.txt request, which returns the same entries as /logs, as text. */
+function onGetLogsText(req, res) {
+    noCache(res);
+    return readLogEntries(logFilter(req.query || {})).then(function(entries) {
+        res.set({'Content-Type': TEXT_PLAIN,
+                 'Content-Disposition': 'inline; filename="logs.txt"'});
+        res.end(entries.map(function(entry) {
+            return `[${new Date(entry.time).toISOString()}] ${entry.verb} `
+                + ((entry.level == 'info') ? '' : entry.level.toUpperCase() + ' ')
+                + entry.message;
+        }).join(EOL) + EOL, CHARSET);
+    }).catch(function(err) {
+        res.set({'Content-Type': TEXT_HTML});
+        res.end(errorToHTML(err), CHARSET);
+    });
 }
 
 /** Redirect standard output into log files. */
 function logToFile(fileNameSuffix) {
     const file = toWindowsEOL(logFilesWriter(fileNameSuffix));
     process.stdout.write = process.stderr.write = file.write.bind(file);
+    logFileSuffix = fileNameSuffix;
+    readLogSettings();
 }
 
 /** Store a copy of standard output into log files. */
@@ -3327,6 +7083,39 @@ function teeToFile(fileNameSuffix) {
     const file = logFilesWriter(fileNameSuffix);
     const tee = toWindowsEOL(teeToWritable(process.stdout, file));
     process.stdout.write = process.stderr.write = tee.write.bind(tee);
+    logFileSuffix = fileNameSuffix;
+    readLogSettings();
+}
+
+var logFileSuffix = null; // the suffix of the names of this process' log files
+var jsonLogWriter = null;
+var logSettingsRead = null; // a Promise that the [Log] settings have been applied
+
+/** Read the settings and apply the [Log] settings, only once per process.
+    A server applies changed settings when it calls updateSettings.
+*/
+function readLogSettings() {
+    if (!logSettingsRead) {
+        logSettingsRead = updateSettings();
+    }
+    return logSettingsRead;
+}
+
+/** Configure logging as specified by the [Log] settings. */
+function applyLogSettings() {
+    setLogLevel(settings.Log.level);
+    if (settings.Log.json && logFileSuffix) {
+        if (!jsonLogWriter) {
+            jsonLogWriter = logFilesWriter(logFileSuffix, '.jsonl');
+            setJSONLog(jsonLogWriter, {
+                verb: logFileSuffix.replace(/-\d+$/, ''),
+                pid: process.pid,
+            });
+        }
+    } else if (jsonLogWriter) {
+        setJSONLog(null);
+        jsonLogWriter = null;
+    }
 }
 
 function teeToWritable(std, writable) {
@@ -3376,37 +7165,58 @@ function toWindowsEOL(writable) {
     return transform;
 }
 
-/** @return a Writable that stores output in date-stamped files. */
-function logFilesWriter(fileNameSuffix) {
+/** @return a Writable that stores output in date-stamped files,
+    with names that end with fileNameSuffix and extension (default .log).
+    Each file is limited to the [Log] maxSize.
+*/
+function logFilesWriter(fileNameSuffix, extension) {
+    if (!extension) extension = '.log';
     var fileStream = null;
     var fileName = null;
+    var fileSize = 0;
+    var filePart = 0;
+    var baseName = null;
     var nextDay = 0;
+    const openNextFile = function openNextFile(firstPart, maxSize) {
+        const next = nextLogFile(baseName, extension, firstPart, maxSize);
+        const nextFileStream = fs.createWriteStream(next.name, {flags: 'a', autoClose: true});
+        if (fileStream) {
+            fileStream.end();
+        }
+        fileStream = nextFileStream;
+        fileName = next.name;
+        fileSize = next.size;
+        filePart = next.part;
+        if (extension == '.log') {
+            logFileName = path.resolve(fileName);
+        }
+    };
     return new stream.Writable(
         {decodeStrings: false,
          write: function(chunk, encoding, next) {
+             const maxSize = settings.Log.maxSize * 1024 * 1024;
+             const chunkSize = (encoding == 'buffer') ? chunk.length : Buffer.byteLength(chunk, encoding);
              var today = new Date();
              if (+today >= nextDay) {
                  today.setUTCHours(0);
                  today.setUTCMinutes(0);
                  today.setUTCSeconds(0);
                  today.setUTCMilliseconds(0);
-                 const prefix = today.toISOString().substring(0, 10) + '-';
-                 const nextFileName = path.join(LOG_FOLDER, prefix + fileNameSuffix +'.log');
-                 if (nextFileName == fileName) {
+                 const nextBaseName = today.toISOString().substring(0, 10) + '-' + fileNameSuffix;
+                 if (nextBaseName == baseName) {
                      // Oops, we jumped the gun. Wait a second longer:
                      nextDay = +today + seconds;
                  } else {
                      nextDay = +today + (24 * hours);
-                     const nextFileStream = fs.createWriteStream(nextFileName, {flags: 'a', autoClose: true});
-                     if (fileStream) {
-                         fileStream.end();
-                     }
-                     fileStream = nextFileStream;
-                     fileName = nextFileName;
-                     logFileName = path.resolve(fileName);
-                     deleteOldFiles(LOG_FOLDER, /\.log$/, 7 * 24 * hours);
+                     baseName = nextBaseName;
+                     openNextFile(0, maxSize);
+                     readLogSettings().then(expireLogFiles);
                  }
              }
+             if (maxSize > 0 && fileSize > 0 && fileSize + chunkSize > maxSize) {
+                 openNextFile(filePart + 1, maxSize);
+             }
+             fileSize += chunkSize;
              if (encoding == 'buffer') {
                  return fileStream.write(chunk, next);
              } else {
@@ -3415,6 +7225,25 @@ function logFilesWriter(fileNameSuffix) {
          }});
 }
 
+/** @return the name, size and part number of the first file named
+    baseName.firstPart, baseName.(firstPart + 1) etc. (plus extension)
+    that's smaller than maxSize. Part 0 is named just baseName.
+*/
+function nextLogFile(baseName, extension, firstPart, maxSize) {
+    for (var part = firstPart; ; ++part) {
+        const name = path.join(LOG_FOLDER, baseName + (part ? '.' + part : '') + extension);
+        var size = 0;
+        try {
+            size = fs.statSync(name).size;
+        } catch(err) {
+            // There's no such file.
+        }
+        if (!(maxSize > 0) || size < maxSize) {
+            return {name: name, size: size, part: part};
+        }
+    }
+}
+
 function encodeHTML(text) {
     return htmlEntities.encode(text + '');
 }
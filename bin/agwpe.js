@@ -0,0 +1,777 @@
+'use strict';
+/* Copyright 2026 by John Kristian
+
+ Licensed under the Apache License, Version 2.0 (the "License");
+ you may not use this file except in compliance with the License.
+ You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing, software
+ distributed under the License is distributed on an "AS IS" BASIS,
+ WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ See the License for the specific language governing permissions and
+ limitations under the License.
+*/
+/*
+  Send a message to a BBS via a TNC or soundmodem (for example Direwolf
+  or the AGW Packet Engine) that listens to a TCP port, using either
+  the AGWPE protocol or KISS. With KISS, this module implements
+  AX.25 connected mode itself (modulo 8, go-back-N).
+
+  Text is exchanged as binary strings (one character per byte),
+  so the caller decides how to encode and decode it.
+*/
+const net = require('net');
+const utilities = require('./utilities');
+const log = utilities.log;
+
+const AGWPE = 'agwpe';
+const KISS = 'kiss';
+const CR = '\r';
+const BBS_PROMPT = />\s*$/; // the end of a JNOS prompt
+const MESSAGE_NUMBER = /\b(?:msg|message)\s*(?:#|number|no\.?)?\s*:?\s*(\d+)/i;
+const MESSAGE_ACCEPTED = /\bqueued\b|\bmsg\s*#?\s*\d+|\bmessage:?\s*\d+/i;
+const PACLEN = 128; // the most bytes of text in one frame
+const seconds = 1000;
+
+/*
+  An AGWPE frame is a 36 byte header followed by data.
+  The header contains the radio port, the kind of frame (a letter),
+  the AX.25 PID, the source and destination call signs (10 bytes each,
+  padded with NUL) and the length of the data (little-endian).
+*/
+const AGW_HEADER_LENGTH = 36;
+
+function agwFrame(kind, fields, data) {
+    const body = Buffer.from(data || '', 'binary');
+    const header = Buffer.alloc(AGW_HEADER_LENGTH);
+    header.writeUInt8(fields.port || 0, 0);
+    header.write(kind, 4, 1, 'binary');
+    header.writeUInt8(fields.pid || 0, 6);
+    header.write(fields.callFrom || '', 8, 10, 'binary');
+    header.write(fields.callTo || '', 18, 10, 'binary');
+    header.writeUInt32LE(body.length, 28);
+    return Buffer.concat([header, body]);
+}
+
+function nulTerminated(buffer, start, end) {
+    const s = buffer.toString('binary', start, end);
+    const nul = s.indexOf('\0');
+    return (nul >= 0) ? s.substring(0, nul) : s;
+}
+
+/** @return a function that accepts chunks of a TCP stream
+    and calls onFrame with each AGWPE frame.
+*/
+function agwParser(onFrame) {
+    var buffer = Buffer.alloc(0);
+    return function parse(chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= AGW_HEADER_LENGTH) {
+            const frameLength = AGW_HEADER_LENGTH + buffer.readUInt32LE(28);
+            if (buffer.length < frameLength) {
+                break; // wait for more data
+            }
+            onFrame({
+                port: buffer.readUInt8(0),
+                kind: String.fromCharCode(buffer[4]),
+                pid: buffer.readUInt8(6),
+                callFrom: nulTerminated(buffer, 8, 18).trim().toUpperCase(),
+                callTo: nulTerminated(buffer, 18, 28).trim().toUpperCase(),
+                data: buffer.toString('binary', AGW_HEADER_LENGTH, frameLength),
+            });
+            buffer = buffer.slice(frameLength);
+        }
+    };
+}
+
+/*
+  A KISS frame is FEND, a command byte (the channel in the high nibble,
+  0 = data in the low nibble), an AX.25 frame and FEND.
+  FEND and FESC in the AX.25 frame are escaped.
+*/
+const FEND = 0xC0;
+const FESC = 0xDB;
+const TFEND = 0xDC;
+const TFESC = 0xDD;
+
+function kissFrame(channel, ax25) {
+    const bytes = [FEND, (channel & 0x0F) << 4];
+    for (var b = 0; b < ax25.length; ++b) {
+        const octet = ax25[b];
+        if (octet == FEND) {
+            bytes.push(FESC, TFEND);
+        } else if (octet == FESC) {
+            bytes.push(FESC, TFESC);
+        } else {
+            bytes.push(octet);
+        }
+    }
+    bytes.push(FEND);
+    return Buffer.from(bytes);
+}
+
+/** @return a function that accepts chunks of a TCP stream
+    and calls onFrame(channel, ax25) with each KISS data frame.
+*/
+function kissParser(onFrame) {
+    var frame = null; // the bytes received since the last FEND
+    var escaped = false;
+    return function parse(chunk) {
+        for (var b = 0; b < chunk.length; ++b) {
+            const octet = chunk[b];
+            if (octet == FEND) {
+                if (frame && frame.length > 1 && (frame[0] & 0x0F) == 0) {
+                    onFrame(frame[0] >> 4, Buffer.from(frame.slice(1)));
+                }
+                frame = [];
+                escaped = false;
+            } else if (frame) {
+                if (escaped) {
+                    frame.push((octet == TFEND) ? FEND : (octet == TFESC) ? FESC : octet);
+                    escaped = false;
+                } else if (octet == FESC) {
+                    escaped = true;
+                } else {
+                    frame.push(octet);
+                }
+            }
+        }
+    };
+}
+
+/* AX.25 control fields, modulo 8: */
+const PF = 0x10; // poll or final
+const RR = 0x01;
+const REJ = 0x09;
+const SABM = 0x2F;
+const UA = 0x63;
+const DISC = 0x43;
+const DM = 0x0F;
+const FRMR = 0x87;
+const UI = 0x03;
+const PID_NONE = 0xF0; // no layer 3 protocol
+
+function isIFrame(control) {
+    return (control & 0x01) == 0;
+}
+
+function isSFrame(control) {
+    return (control & 0x03) == 0x01;
+}
+
+/** @return the call sign in a canonical form. SSID 0 is omitted, the way decodeAddress does. */
+function normalizeCall(call) {
+    return (call || '').trim().toUpperCase().replace(/-0+$/, '');
+}
+
+function encodeAddress(call, commandBit, last) {
+    const parts = call.toUpperCase().split('-');
+    const name = (parts[0] + '      ').substring(0, 6);
+    const ssid = parseInt(parts[1] || '0', 10) & 0x0F;
+    const bytes = [];
+    for (var c = 0; c < 6; ++c) {
+        bytes.push(name.charCodeAt(c) << 1);
+    }
+    bytes.push((commandBit ? 0x80 : 0) | 0x60 | (ssid << 1) | (last ? 0x01 : 0));
+    return bytes;
+}
+
+function decodeAddress(bytes, start) {
+    var name = '';
+    for (var c = 0; c < 6; ++c) {
+        name += String.fromCharCode(bytes[start + c] >> 1);
+    }
+    const ssid = (bytes[start + 6] >> 1) & 0x0F;
+    return name.trim() + (ssid ? '-' + ssid : '');
+}
+
+/** @return a Buffer containing an AX.25 frame. */
+function ax25Encode(frame) {
+    var bytes = encodeAddress(frame.to, frame.command, false)
+        .concat(encodeAddress(frame.from, !frame.command, true));
+    bytes.push(frame.control);
+    if (isIFrame(frame.control) || (frame.control & ~PF) == UI) {
+        bytes.push(PID_NONE);
+    }
+    return Buffer.concat([Buffer.from(bytes), Buffer.from(frame.info || '', 'binary')]);
+}
+
+/** @return an object that represents an AX.25 frame, or null if it's malformed. */
+function ax25Decode(bytes) {
+    if (bytes.length < 15) return null;
+    var end = 13; // the last byte of the source address
+    while (!(bytes[end] & 0x01)) { // skip digipeater addresses
+        end += 7;
+        if (end >= bytes.length) return null;
+    }
+    const frame = {
+        to: decodeAddress(bytes, 0),
+        from: decodeAddress(bytes, 7),
+        command: !!(bytes[6] & 0x80),
+        control: bytes[end + 1],
+        info: '',
+    };
+    if (isIFrame(frame.control) || (frame.control & ~PF) == UI) {
+        frame.info = bytes.toString('binary', end + 3);
+    }
+    return frame;
+}
+
+/** @return an AX.25 connection (modulo 8) between myCall and theirCall.
+    It transmits frames by calling output(frame), and calls closed(reason)
+    when it's disconnected. Call receive(frame) with each frame from
+    theirCall to myCall. Set onConnect, onData(text) and onClose(reason)
+    to observe it. Call stop() to abandon it without calling closed or onClose,
+    or stop(true) to also transmit DISC (once).
+*/
+function ax25Link(myCall, theirCall, output, closed, options) {
+    const t1 = options.t1 || (10 * seconds); // how long to wait for an acknowledgement
+    const n2 = options.n2 || 10; // how many times to try
+    const maxFrames = options.maxFrames || 4; // how many I frames may be unacknowledged
+    var state = 'disconnected';
+    var vs = 0; // the next N(S) to send
+    var vr = 0; // the next N(S) expected
+    var unacked = []; // I frames sent, oldest first
+    var queue = []; // text to send
+    var closing = false; // disconnect after sending the queue
+    var timer = null;
+    var retries = 0;
+    const link = {
+        onConnect: function() {},
+        onData: function(data) {},
+        onClose: function(reason) {},
+    };
+    const send = function send(control, command, info) {
+        output({to: theirCall, from: myCall, command: command, control: control, info: info});
+    };
+    const stopTimer = function stopTimer() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+    const startTimer = function startTimer() {
+        stopTimer();
+        timer = setTimeout(onTimeout, t1);
+    };
+    const close = function close(reason) {
+        stopTimer();
+        if (state != 'disconnected') {
+            state = 'disconnected';
+            closed(reason);
+            link.onClose(reason);
+        }
+    };
+    const transmit = function transmit() {
+        while (state == 'connected' && queue.length && unacked.length < maxFrames) {
+            const frame = {ns: vs, info: queue.shift()};
+            unacked.push(frame);
+            send((vr << 5) | (frame.ns << 1), true, frame.info);
+            vs = (vs + 1) % 8;
+            if (!timer) startTimer();
+        }
+        if (state == 'connected' && closing && !queue.length && !unacked.length) {
+            state = 'disconnecting';
+            retries = 0;
+            send(DISC | PF, true);
+            startTimer();
+        }
+    };
+    const acknowledged = function acknowledged(nr) {
+        var any = false;
+        while (unacked.length && unacked[0].ns != nr
+               && unacked.some(function(frame) {return ((frame.ns + 1) % 8) == nr;})) {
+            unacked.shift();
+            any = true;
+        }
+        if (any) {
+            retries = 0;
+            if (unacked.length) startTimer();
+            else stopTimer();
+        }
+    };
+    const retransmit = function retransmit() {
+        unacked.forEach(function(frame) {
+            send((vr << 5) | (frame.ns << 1), true, frame.info);
+        });
+        if (unacked.length) startTimer();
+    };
+    const onTimeout = function onTimeout() {
+        timer = null;
+        if (++retries >= n2) {
+            close(`${theirCall} didn't respond after ${n2} tries.`);
+            return;
+        }
+        switch(state) {
+        case 'connecting':
+            send(SABM | PF, true);
+            break;
+        case 'disconnecting':
+            send(DISC | PF, true);
+            break;
+        case 'connected':
+            retransmit();
+            return;
+        default:
+            return;
+        }
+        startTimer();
+    };
+    link.connect = function connect() {
+        state = 'connecting';
+        retries = 0;
+        send(SABM | PF, true);
+        startTimer();
+    };
+    link.send = function sendText(text) {
+        for (var t = 0; t < text.length; t += PACLEN) {
+            queue.push(text.substring(t, t + PACLEN));
+        }
+        transmit();
+    };
+    link.disconnect = function disconnect() {
+        closing = true;
+        if (state == 'connecting') {
+            close('disconnected');
+        } else {
+            transmit();
+        }
+    };
+    link.stop = function stop(disc) {
+        if (disc && state != 'disconnected') {
+            send(DISC | PF, true);
+        }
+        stopTimer();
+        state = 'disconnected';
+        queue = [];
+        unacked = [];
+    };
+    link.receive = function receive(frame) {
+        const control = frame.control;
+        const pf = control & PF;
+        if (isIFrame(control)) {
+            if (state != 'connected') {
+                send(DM | pf, false);
+                return;
+            }
+            acknowledged(control >> 5);
+            if (((control >> 1) & 0x07) == vr) {
+                vr = (vr + 1) % 8;
+                send(RR | (vr << 5) | pf, false);
+                link.onData(frame.info);
+            } else {
+                send(REJ | (vr << 5) | pf, false);
+            }
+            transmit();
+        } else if (isSFrame(control)) {
+            if (state != 'connected') return;
+            acknowledged(control >> 5);
+            if ((control & 0x0F) == REJ) {
+                retransmit();
+            }
+            if (frame.command && pf) {
+                send(RR | (vr << 5) | PF, false);
+            }
+            transmit();
+        } else {
+            switch(control & ~PF) {
+            case SABM:
+                vs = vr = 0;
+                unacked = [];
+                send(UA | pf, false);
+                if (state != 'connected') {
+                    state = 'connected';
+                    stopTimer();
+                    link.onConnect();
+                }
+                break;
+            case UA:
+                if (state == 'connecting') {
+                    state = 'connected';
+                    stopTimer();
+                    link.onConnect();
+                    transmit();
+                } else if (state == 'disconnecting') {
+                    close('disconnected');
+                }
+                break;
+            case DISC:
+                send(UA | pf, false);
+                close(`disconnected by ${theirCall}`);
+                break;
+            case DM:
+                close((state == 'connecting') ? `${theirCall} is busy.` : `disconnected by ${theirCall}`);
+                break;
+            case FRMR:
+                close(`${theirCall} rejected a frame.`);
+                break;
+            default:
+                // ignore UI frames etc.
+            }
+        }
+    };
+    return link;
+}
+
+/* connectAGWPE and connectKISS connect to options.bbsCall. When connected, they call
+   handlers.onConnect(link), where link has methods send(text) and disconnect().
+   They call handlers.onData(text) with text from the BBS, and
+   handlers.onClose(reason) when the connection ends or fails.
+   They return {cancel(reason)}, which disconnects from the BBS (without
+   waiting for it) and closes the connection to the TNC, even while connecting.
+*/
+
+/** Send data and close the socket, or destroy it if the TNC doesn't close it soon. */
+function endSocket(socket, data) {
+    socket.end(data);
+    setTimeout(function() {
+        socket.destroy();
+    }, 5 * seconds).unref();
+}
+
+function connectAGWPE(options, handlers) {
+    var connecting = false; // sent a C frame
+    var connected = false;
+    var closed = false;
+    const fields = {
+        port: options.channel,
+        callFrom: options.myCall,
+        callTo: options.bbsCall,
+    };
+    const socket = net.connect({host: options.host, port: options.port});
+    const close = function close(reason) {
+        if (!closed) {
+            closed = true;
+            socket.destroy();
+            handlers.onClose(reason);
+        }
+    };
+    const link = {
+        send: function send(text) {
+            for (var t = 0; t < text.length; t += PACLEN) {
+                socket.write(agwFrame(
+                    'D', {port: fields.port, pid: PID_NONE,
+                          callFrom: fields.callFrom, callTo: fields.callTo},
+                    text.substring(t, t + PACLEN)));
+            }
+        },
+        disconnect: function disconnect() {
+            if (connected) {
+                socket.write(agwFrame('d', fields));
+            } else {
+                close('disconnected');
+            }
+        },
+    };
+    socket.on('error', close);
+    socket.on('close', function() {
+        close('The AGWPE connection was closed.');
+    });
+    socket.on('connect', function() {
+        socket.write(agwFrame('X', {callFrom: options.myCall}));
+    });
+    socket.on('data', agwParser(function(frame) {
+        if (frame.kind != 'X'
+            && (normalizeCall(frame.callFrom) != options.bbsCall
+                || normalizeCall(frame.callTo) != options.myCall)) {
+            return; // about another conversation
+        }
+        switch(frame.kind) {
+        case 'X':
+            if (frame.data.charCodeAt(0) != 1) {
+                close(`AGWPE didn't register ${options.myCall}.`);
+            } else {
+                connecting = true;
+                socket.write(agwFrame('C', fields));
+            }
+            break;
+        case 'C':
+            if (!connected) {
+                connected = true;
+                handlers.onConnect(link);
+            }
+            break;
+        case 'D':
+            if (connected) handlers.onData(frame.data);
+            break;
+        case 'd':
+            // frame.data is like "*** DISCONNECTED RETRYOUT With W6XSC-1"
+            socket.end(agwFrame('x', {callFrom: options.myCall}));
+            close(frame.data.trim() || 'disconnected');
+            break;
+        default:
+            // ignore other kinds of frame
+        }
+    }));
+    return {
+        cancel: function cancel(reason) {
+            if (closed) return;
+            closed = true;
+            endSocket(socket, (connecting || connected)
+                      ? Buffer.concat([agwFrame('d', fields),
+                                       agwFrame('x', {callFrom: options.myCall})])
+                      : undefined);
+            handlers.onClose(reason);
+        },
+    };
+}
+
+function connectKISS(options, handlers) {
+    var closed = false;
+    const socket = net.connect({host: options.host, port: options.port});
+    const link = ax25Link(options.myCall, options.bbsCall, function output(frame) {
+        socket.write(kissFrame(options.channel, ax25Encode(frame)));
+    }, function linkClosed(reason) {
+        closed = true;
+        socket.end();
+    }, options);
+    link.onConnect = function onConnect() {
+        handlers.onConnect(link);
+    };
+    link.onData = function onData(data) {
+        handlers.onData(data);
+    };
+    link.onClose = function onClose(reason) {
+        handlers.onClose(reason);
+    };
+    const fail = function fail(reason) {
+        if (!closed) {
+            closed = true;
+            link.stop();
+            socket.destroy();
+            handlers.onClose(reason);
+        }
+    };
+    socket.on('error', fail);
+    socket.on('close', function() {
+        fail('The KISS connection was closed.');
+    });
+    socket.on('connect', link.connect);
+    socket.on('data', kissParser(function(channel, bytes) {
+        const frame = ax25Decode(bytes);
+        if (frame && channel == options.channel
+            && frame.from == options.bbsCall && frame.to == options.myCall) {
+            link.receive(frame);
+        }
+    }));
+    return {
+        cancel: function cancel(reason) {
+            if (closed) return;
+            closed = true;
+            link.stop(true);
+            endSocket(socket);
+            handlers.onClose(reason);
+        },
+    };
+}
+
+/** Connect to a BBS, wait for its prompt, send text (lines that end with CR),
+    wait for the next prompt and say bye.
+    options: {type: 'agwpe' or 'kiss', host, port, channel, myCall, bbsCall, timeout}
+    @return a Promise of {transcript, reply, accepted, messageNumber, problem},
+    where reply is what the BBS said after it received the text,
+    accepted is true if the reply looks like the message was queued,
+    messageNumber is the number the reply assigned to the message (or '')
+    and problem is why there's no complete reply (or '').
+    The Promise is rejected only if the text wasn't sent, since
+    after that the BBS might have accepted the message.
+*/
+function sendToBBS(options, text) {
+    const type = (options.type || '').trim().toLowerCase();
+    const connect = (type == AGWPE) ? connectAGWPE : (type == KISS) ? connectKISS : null;
+    if (!connect) {
+        return Promise.reject(`The TNC type ${JSON.stringify(options.type)} isn't supported.`);
+    }
+    const myCall = normalizeCall(options.myCall);
+    const bbsCall = normalizeCall(options.bbsCall);
+    if (!myCall || !bbsCall) {
+        return Promise.reject('The call signs of this station and the BBS are required.');
+    }
+    const timeout = options.timeout || (5 * 60 * seconds);
+    log(`connect ${myCall} to ${bbsCall} via ${type} ${options.host}:${options.port}`);
+    return new Promise(function(resolve, reject) {
+        var link = null;
+        var connection = null;
+        var transcript = ''; // everything sent and received
+        var received = ''; // since the latest prompt
+        var reply = '';
+        var step = 'connect';
+        var timedOut = '';
+        const timer = setTimeout(function() {
+            timedOut = `${bbsCall} didn't respond within ${timeout / seconds} seconds.`;
+            connection.cancel('timed out');
+        }, timeout);
+        connection = connect({
+            host: options.host,
+            port: options.port,
+            channel: options.channel || 0,
+            myCall: myCall,
+            bbsCall: bbsCall,
+        }, {
+            onConnect: function onConnect(connected) {
+                link = connected;
+                if (step == 'connect') step = 'banner';
+            },
+            onData: function onData(data) {
+                transcript += data;
+                received += data;
+                if (!BBS_PROMPT.test(received)) {
+                    return; // wait for a prompt
+                }
+                if (step == 'banner') {
+                    step = 'message';
+                    received = '';
+                    transcript += text;
+                    link.send(text);
+                } else if (step == 'message') {
+                    step = 'bye';
+                    reply = received;
+                    received = '';
+                    transcript += 'B' + CR;
+                    link.send('B' + CR);
+                }
+            },
+            onClose: function onClose(reason) {
+                clearTimeout(timer);
+                log(`${bbsCall} ${reason}`);
+                if (step == 'bye' || step == 'message') {
+                    if (step == 'message') {
+                        reply = received; // incomplete
+                    }
+                    const found = MESSAGE_NUMBER.exec(reply);
+                    resolve({
+                        transcript: transcript,
+                        reply: reply,
+                        accepted: step == 'bye' && MESSAGE_ACCEPTED.test(reply),
+                        messageNumber: found ? found[1] : '',
+                        problem: (step == 'bye') ? '' : (timedOut || reason),
+                    });
+                } else if (step != 'closed') {
+                    reject(`${timedOut || reason}\n` + transcript.replace(/\r\n?/g, '\n'));
+                }
+                step = 'closed';
+            },
+        });
+    });
+}
+
+var fakeMessageNumber = 100;
+
+/** Pretend to be a JNOS BBS, in a conversation with theirCall.
+    Send text to them by calling send(text), and end the conversation by calling disconnect().
+    Call onMessage(text) with each message they send (from the SP, SB or SC command to /EX).
+    @return a function that receives text from them.
+*/
+function fakeBBS(bbsCall, theirCall, send, disconnect, onMessage) {
+    var line = '';
+    var message = null; // the message that's being received
+    send(`[JNOS-2.0-B1FHIM$]${CR}`
+         + `Hello ${theirCall}, this is a fake BBS ${bbsCall}.${CR}`
+         + `Area: ${theirCall.toLowerCase()} Current msg# 0.${CR}`
+         + `?,A,B,C,D,E,F,H,I,J,K,L,M,N,O,P,R,S,T,U,V,W,X,Z >${CR}`);
+    return function receive(data) {
+        line += data;
+        var found;
+        while (found = /\r\n?|\n/.exec(line)) {
+            const text = line.substring(0, found.index);
+            line = line.substring(found.index + found[0].length);
+            if (message != null) {
+                if (/^\/EX$/i.test(text)) {
+                    onMessage(message);
+                    message = null;
+                    send(`Msg ${++fakeMessageNumber} queued${CR}>${CR}`);
+                } else {
+                    message += text + CR;
+                }
+            } else if (/^S[PBC]\s/i.test(text)) {
+                message = text + CR;
+            } else if (/^B(YE)?$/i.test(text)) {
+                send(`73 de ${bbsCall}${CR}`);
+                disconnect();
+            } else if (text.trim()) {
+                send(`>${CR}`);
+            }
+        }
+    };
+}
+
+/** Pretend to be a TNC that's connected to a BBS, for testing.
+    Listen for AGWPE or KISS (according to options.type) clients
+    on options.host and options.port, answer a connection to any call sign,
+    and converse like a BBS. Call onMessage(text) with each message received.
+    @return the net.Server.
+*/
+function fakeTNC(options, onMessage) {
+    const type = (options.type || '').trim().toLowerCase();
+    return net.createServer(function(socket) {
+        socket.on('error', log);
+        var session = null; // a fakeBBS
+        if (type == KISS) {
+            var link = null;
+            socket.on('data', kissParser(function(channel, bytes) {
+                const frame = ax25Decode(bytes);
+                if (!frame) return;
+                if (!link && (frame.control & ~PF) == SABM) {
+                    log(`${frame.from} connected to ${frame.to}`);
+                    link = ax25Link(frame.to, frame.from, function output(reply) {
+                        socket.write(kissFrame(channel, ax25Encode(reply)));
+                    }, function closed(reason) {
+                        log(`${frame.from} ${reason}`);
+                        link = null;
+                        session = null;
+                    }, options);
+                    link.onConnect = function onConnect() {
+                        session = fakeBBS(frame.to, frame.from, link.send, link.disconnect, onMessage);
+                    };
+                    link.onData = function onData(data) {
+                        if (session) session(data);
+                    };
+                }
+                if (link) {
+                    link.receive(frame);
+                }
+            }));
+        } else {
+            var fields = null; // from the BBS to the client
+            socket.on('data', agwParser(function(frame) {
+                switch(frame.kind) {
+                case 'X':
+                    socket.write(agwFrame('X', {callFrom: frame.callFrom}, '\x01'));
+                    break;
+                case 'C':
+                    log(`${frame.callFrom} connected to ${frame.callTo}`);
+                    fields = {port: frame.port, callFrom: frame.callTo, callTo: frame.callFrom};
+                    socket.write(agwFrame('C', fields, `*** CONNECTED With Station ${frame.callTo}${CR}`));
+                    session = fakeBBS(frame.callTo, frame.callFrom, function send(text) {
+                        socket.write(agwFrame('D', {
+                            port: fields.port, pid: PID_NONE,
+                            callFrom: fields.callFrom, callTo: fields.callTo,
+                        }, text));
+                    }, function disconnect() {
+                        session = null;
+                        socket.write(agwFrame('d', fields, `*** DISCONNECTED From Station ${fields.callFrom}${CR}`));
+                    }, onMessage);
+                    break;
+                case 'D':
+                    if (session) session(frame.data);
+                    break;
+                case 'd':
+                    if (session) {
+                        session = null;
+                        socket.write(agwFrame('d', fields, `*** DISCONNECTED From Station ${fields.callFrom}${CR}`));
+                    }
+                    break;
+                default:
+                    // ignore other kinds of frame
+                }
+            }));
+        }
+    });
+}
+
+exports.AGWPE = AGWPE;
+exports.KISS = KISS;
+exports.fakeTNC = fakeTNC;
+exports.sendToBBS = sendToBBS;
@@ -17,7 +17,27 @@
 const UTF8 = 'UTF-8';
 const LATIN_1 = 'Latin-1'; // I mean ISO/IEC 8859-1:1998 <https://en.wikipedia.org/wiki/ISO/IEC_8859-1>
 const WINDOWS_1252 = 'Windows-1252';
+const US_ASCII = 'US-ASCII'; // 7 bits per character
+const CP437 = 'CP437'; // the original IBM PC <https://en.wikipedia.org/wiki/Code_page_437>
+const LATIN_9 = 'ISO-8859-15'; // <https://en.wikipedia.org/wiki/ISO/IEC_8859-15>
 const encodingAliases = {
+    'ascii': US_ASCII,
+    'us-ascii': US_ASCII,
+    'us_ascii': US_ASCII,
+    'iso646-us': US_ASCII,
+    'ansi_x3.4-1968': US_ASCII,
+    'cp437': CP437,
+    'cp-437': CP437,
+    'ibm437': CP437,
+    'ibm-437': CP437,
+    'dos-437': CP437,
+    'latin9': LATIN_9,
+    'latin-9': LATIN_9,
+    'latin0': LATIN_9,
+    'iso8859-15': LATIN_9,
+    'iso 8859-15': LATIN_9,
+    'iso-8859-15': LATIN_9,
+    'iso_8859-15': LATIN_9,
     'cp1252': WINDOWS_1252,
     'cp-1252': WINDOWS_1252,
     'win1252': WINDOWS_1252,
@@ -84,6 +104,38 @@ findBadBytes[WINDOWS_1252] = function findBadWindows1252(b) {
     }
     return uniqueCharacters(bad);
 };
+findBadBytes[US_ASCII] = function findBadASCII(b) {
+    var bad = '';
+    for (var c of b) {
+        if (c.charCodeAt(0) > 0x7F) {
+            bad += c;
+        }
+    }
+    return uniqueCharacters(bad);
+};
+// Every byte represents a CP437 character.
+// But a character that can't be encoded is encoded as NOT_A_BYTE.
+findBadBytes[CP437] = function findBadCP437(b) {
+    var bad = '';
+    for (var c of b) {
+        if (c.charCodeAt(0) > 0xFF) {
+            bad += c;
+        }
+    }
+    return uniqueCharacters(bad);
+};
+findBadBytes[LATIN_9] = findBadBytes[LATIN_1];
+
+/** The encoding of a character that isn't in the encoding's character set. */
+const NOT_A_BYTE = '\uFFFD';
+
+function invert(m) {
+    var result = {};
+    for (var key in m) {
+        result[m[key]] = key;
+    }
+    return result;
+}
 
 // Windows-1252 is the same as ISO 8859-1, except for:
 const encodeWindowsMap = {
@@ -116,15 +168,41 @@ const encodeWindowsMap = {
     '\u0178': '\u009F', // LATIN CAPITAL LETTER Y WITH DIAERESIS
 };
 const encodeWindowsRegex = new RegExp('[' + Object.keys(encodeWindowsMap).join('') + ']', 'g');
-const decodeWindowsMap = function invert(m) {
-    var result = {};
-    for (var key in m) {
-        result[m[key]] = key;
-    }
-    return result;
-}(encodeWindowsMap);
+const decodeWindowsMap = invert(encodeWindowsMap);
 const decodeWindowsRegex = new RegExp('[\u0080-\u009F]', 'g');
 
+// ISO 8859-15 is the same as ISO 8859-1, except for:
+const encodeLatin9Map = {
+    '\u20AC': '\u00A4', // EURO SIGN
+    '\u0160': '\u00A6', // LATIN CAPITAL LETTER S WITH CARON
+    '\u0161': '\u00A8', // LATIN SMALL LETTER S WITH CARON
+    '\u017D': '\u00B4', // LATIN CAPITAL LETTER Z WITH CARON
+    '\u017E': '\u00B8', // LATIN SMALL LETTER Z WITH CARON
+    '\u0152': '\u00BC', // LATIN CAPITAL LIGATURE OE
+    '\u0153': '\u00BD', // LATIN SMALL LIGATURE OE
+    '\u0178': '\u00BE', // LATIN CAPITAL LETTER Y WITH DIAERESIS
+};
+const decodeLatin9Map = invert(encodeLatin9Map);
+// The Latin-1 characters that were replaced are not in ISO 8859-15:
+const encodeLatin9Regex = new RegExp(
+    '[' + Object.keys(encodeLatin9Map).join('') + Object.keys(decodeLatin9Map).join('') + ']', 'g');
+const decodeLatin9Regex = new RegExp('[' + Object.keys(decodeLatin9Map).join('') + ']', 'g');
+
+// CP437 is the same as US-ASCII, except for bytes 80-FF:
+const decodeCP437Chars =
+    '\u00C7\u00FC\u00E9\u00E2\u00E4\u00E0\u00E5\u00E7\u00EA\u00EB\u00E8\u00EF\u00EE\u00EC\u00C4\u00C5' + // 80-8F
+    '\u00C9\u00E6\u00C6\u00F4\u00F6\u00F2\u00FB\u00F9\u00FF\u00D6\u00DC\u00A2\u00A3\u00A5\u20A7\u0192' + // 90-9F
+    '\u00E1\u00ED\u00F3\u00FA\u00F1\u00D1\u00AA\u00BA\u00BF\u2310\u00AC\u00BD\u00BC\u00A1\u00AB\u00BB' + // A0-AF
+    '\u2591\u2592\u2593\u2502\u2524\u2561\u2562\u2556\u2555\u2563\u2551\u2557\u255D\u255C\u255B\u2510' + // B0-BF
+    '\u2514\u2534\u252C\u251C\u2500\u253C\u255E\u255F\u255A\u2554\u2569\u2566\u2560\u2550\u256C\u2567' + // C0-CF
+    '\u2568\u2564\u2565\u2559\u2558\u2552\u2553\u256B\u256A\u2518\u250C\u2588\u2584\u258C\u2590\u2580' + // D0-DF
+    '\u03B1\u00DF\u0393\u03C0\u03A3\u03C3\u00B5\u03C4\u03A6\u0398\u03A9\u03B4\u221E\u03C6\u03B5\u2229' + // E0-EF
+    '\u2261\u00B1\u2265\u2264\u2320\u2321\u00F7\u2248\u00B0\u2219\u00B7\u221A\u207F\u00B2\u25A0\u00A0'; // F0-FF
+const encodeCP437Map = {};
+for (var b = 0; b < decodeCP437Chars.length; ++b) {
+    encodeCP437Map[decodeCP437Chars.charAt(b)] = String.fromCharCode(0x80 + b);
+}
+
 /** Encode a string to bytes. */
 const encode = {};
 encode[UTF8] = function encodeUTF8(s) {
@@ -141,6 +219,19 @@ encode[LATIN_1] = encode[WINDOWS_1252];
 // and stray Windows characters will also be encoded reasonably.
 // This is necessary to implement the Upload button in manual.html,
 // which always decodes the file using 'windows-1252'.
+encode[US_ASCII] = function encodeASCII(s) {
+    return s; // Non-ASCII characters are bad bytes.
+};
+encode[CP437] = function encodeCP437(s) {
+    return s && s.replace(/[^\u0000-\u007F]/g, function(c) {
+        return encodeCP437Map[c] || NOT_A_BYTE;
+    });
+};
+encode[LATIN_9] = function encodeLatin9(s) {
+    return s && s.replace(encodeLatin9Regex, function(c) {
+        return encodeLatin9Map[c] || NOT_A_BYTE;
+    });
+};
 
 /** Decode a string from bytes. */
 const decode = {};
@@ -153,6 +244,17 @@ decode[WINDOWS_1252] = function decodeWindows1252(bytes) {
         return decodeWindowsMap[b] || b;
     });
 }
+decode[US_ASCII] = function(bytes) {return bytes;};
+decode[CP437] = function decodeCP437(bytes) {
+    return bytes && bytes.replace(/[\u0080-\u00FF]/g, function(b) {
+        return decodeCP437Chars.charAt(b.charCodeAt(0) - 0x80);
+    });
+};
+decode[LATIN_9] = function decodeLatin9(bytes) {
+    return bytes && bytes.replace(decodeLatin9Regex, function(b) {
+        return decodeLatin9Map[b];
+    });
+};
 
 /** Encode to UTF-8 and then decode from the selected encoding. */
 const transEncode = {};
@@ -163,6 +265,15 @@ transEncode[LATIN_1] = function transEncodeLatin1(s) {
 transEncode[WINDOWS_1252] = function transEncodeWindows1252(s) {
     return decode[WINDOWS_1252](encode[UTF8](s));
 };
+transEncode[US_ASCII] = function transEncodeASCII(s) {
+    return decode[US_ASCII](encode[UTF8](s));
+};
+transEncode[CP437] = function transEncodeCP437(s) {
+    return decode[CP437](encode[UTF8](s));
+};
+transEncode[LATIN_9] = function transEncodeLatin9(s) {
+    return decode[LATIN_9](encode[UTF8](s));
+};
 
 /** Encode to the selected encoding and then decode from UTF8. */
 const transDecode = {};
@@ -173,6 +284,15 @@ transDecode[LATIN_1] = function transDecodeLatin1(s) {
 transDecode[WINDOWS_1252] = function transDecodeWindows1252(s) {
     return decode[UTF8](encode[WINDOWS_1252](s));
 };
+transDecode[US_ASCII] = function transDecodeASCII(s) {
+    return decode[UTF8](encode[US_ASCII](s));
+};
+transDecode[CP437] = function transDecodeCP437(s) {
+    return decode[UTF8](encode[CP437](s));
+};
+transDecode[LATIN_9] = function transDecodeLatin9(s) {
+    return decode[UTF8](encode[LATIN_9](s));
+};
 
 // node.js spells 'utf-8' all lower case.
 findBadBytes['utf-8'] = findBadBytes[UTF8];
@@ -184,6 +304,9 @@ transDecode['utf-8'] = transDecode[UTF8];
 exports.UTF8 = UTF8;
 exports.LATIN_1 = LATIN_1;
 exports.WINDOWS_1252 = WINDOWS_1252;
+exports.US_ASCII = US_ASCII;
+exports.CP437 = CP437;
+exports.LATIN_9 = LATIN_9;
 exports.decode = decode;
 exports.encode = encode;
 exports.findBadBytes = findBadBytes;
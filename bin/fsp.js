@@ -155,6 +155,35 @@ const fsp = {
                 reject(err);
             }
         });
+    },
+
+    /** Replace a file with a string, such that the file will contain
+        either the old or new string, even if the power fails.
+        Write a temporary file, flush it to disk and then rename it.
+    */
+    writeFileAtomic: function writeFileAtomic(name, data, options) {
+        const tempName = name + '.tmp';
+        const encoding = (options && options.encoding) || 'utf8';
+        return new Promise(function writeTemp(resolve, reject) {
+            try {
+                fs.open(tempName, 'w', function(err, fd) {
+                    if (err) return reject(err);
+                    fs.write(fd, data, 0, encoding, function(err) {
+                        if (err) return fs.close(fd, function() {reject(err);});
+                        fs.fsync(fd, function(err) {
+                            fs.close(fd, function(closeErr) {
+                                if (err || closeErr) reject(err || closeErr);
+                                else resolve();
+                            });
+                        });
+                    });
+                });
+            } catch(err) {
+                reject(err);
+            }
+        }).then(function() {
+            return fsp.rename(tempName, name);
+        });
     }
 };
 
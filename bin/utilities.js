@@ -60,20 +60,86 @@ function expandVariablesInFile(variables, fromFile, intoFile) {
     });
 }
 
+/* Each log message has a level. A message at level info is formatted like
+   "[2024-01-31T12:34:56.789Z] text"; other levels are formatted like
+   "[2024-01-31T12:34:56.789Z] DEBUG text". Messages at levels below
+   the configured level are discarded.
+*/
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+var logLevel = 0; // the index in LOG_LEVELS of the lowest level that's logged
+var jsonLog = null; // {writable, fields}, to which messages are also written as JSON lines
+
+/** Log a message at level info. An error handler should call log.warn or log.error
+    instead, depending on whether it recovers from the error.
+*/
 function log(data) {
-    if (data) {
-        console.log(toLogMessage(data));
+    logAt('info', data);
+}
+log.debug = function debug(data) {logAt('debug', data);};
+log.info = function info(data) {logAt('info', data);};
+log.warn = function warn(data) {logAt('warn', data);};
+log.error = function error(data) {logAt('error', data);};
+
+function logAt(level, data) {
+    if (data && LOG_LEVELS.indexOf(level) >= logLevel) {
+        const time = new Date();
+        const message = (typeof data == 'object') ? errorToMessage(data) : ('' + data);
+        console.log(formatLogMessage(time, level, message));
+        if (jsonLog) {
+            const record = {time: time.toISOString(), level: level};
+            for (var field in jsonLog.fields) {
+                record[field] = jsonLog.fields[field];
+            }
+            const formId = formIdInLogMessage(message);
+            if (formId) {
+                record.formId = formId;
+            }
+            record.message = message;
+            jsonLog.writable.write(JSON.stringify(record) + '\n');
+        }
     }
 }
 
+/** @return the id of the form that a log message is about, or null. */
+function formIdInLogMessage(message) {
+    const found = /\/form-(\d+)\b/.exec(message) || /\bform (\d+)\b/i.exec(message);
+    return found && found[1];
+}
+
+function formatLogMessage(time, level, message) {
+    return '[' + time.toISOString() + '] '
+        + ((level == 'info') ? '' : level.toUpperCase() + ' ')
+        + message;
+}
+
 function toLogMessage(data) {
     const message = (typeof data == 'object') ? errorToMessage(data) : ('' + data);
-    return '[' + new Date().toISOString() + '] ' + message;
+    return formatLogMessage(new Date(), 'info', message);
+}
+
+/** Discard messages at levels below the given level. */
+function setLogLevel(level) {
+    const index = LOG_LEVELS.indexOf((level || '').trim().toLowerCase());
+    logLevel = (index >= 0) ? index : 0;
+}
+
+/** Also write each message to the given Writable as a line of JSON,
+    including the given fields. If writable is null, stop doing that.
+*/
+function setJSONLog(writable, fields) {
+    if (jsonLog && jsonLog.writable != writable) {
+        jsonLog.writable.end();
+    }
+    jsonLog = writable ? {writable: writable, fields: fields || {}} : null;
 }
 
 exports.errorToMessage = errorToMessage;
 exports.enquoteRegex = enquoteRegex;
 exports.expandVariables = expandVariables;
 exports.expandVariablesInFile = expandVariablesInFile;
+exports.LOG_LEVELS = LOG_LEVELS;
+exports.formIdInLogMessage = formIdInLogMessage;
 exports.log = log;
+exports.setJSONLog = setJSONLog;
+exports.setLogLevel = setLogLevel;
 exports.toLogMessage = toLogMessage;